@@ -0,0 +1,225 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Sync-back backups
+ * Each sync-back copies the HTML files to a backup-<timestamp> folder with a manifest
+ * of the markdown and HTML directories and the files the sync changed. Backups can be
+ * listed, restored (whole or file by file) and pruned.
+ */
+
+const BACKUP_PREFIX = 'backup-';
+const MANIFEST_FILE = 'manifest.json';
+
+// Backup folder names: the prefix and a timestamp, never a path
+const BACKUP_ID = /^backup-[A-Za-z0-9_-]+$/;
+
+class BackupManager {
+  constructor(config = {}) {
+    this.config = {
+      backupDir: config.backupDir || './backup',
+      ...config
+    };
+  }
+
+  /**
+   * Copy HTML files (absolute paths inside htmlDir) to a new backup and write its manifest.
+   * Returns the backup's id.
+   */
+  async createBackup(htmlDir, markdownDir, htmlFiles) {
+    const id = `${BACKUP_PREFIX}${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const backupPath = this.getBackupPath(id);
+    const files = htmlFiles.map(htmlFile => this.toRelative(htmlDir, htmlFile));
+
+    // The folder holds the manifest even when there are no HTML files to copy
+    await fs.ensureDir(backupPath);
+    for (const file of files) {
+      const backupFile = path.join(backupPath, file);
+      await fs.ensureDir(path.dirname(backupFile));
+      await fs.copy(path.join(htmlDir, file), backupFile);
+    }
+
+    await this.writeManifest(id, {
+      id,
+      createdAt: new Date().toISOString(),
+      markdownDir: markdownDir ? path.resolve(markdownDir) : null,
+      htmlDir: path.resolve(htmlDir),
+      files,
+      changedFiles: []
+    });
+
+    return id;
+  }
+
+  /**
+   * Record the files a sync changed in the manifest of its backup
+   */
+  async recordChangedFiles(id, changedFiles) {
+    const manifest = await this.readManifest(id);
+    await this.writeManifest(id, { ...manifest, changedFiles: [...new Set(changedFiles)].sort() });
+  }
+
+  /**
+   * All backups, newest first. Backups written before manifests were added only list their files.
+   */
+  async listBackups() {
+    const backupDir = path.resolve(this.config.backupDir);
+    if (!await fs.pathExists(backupDir)) {
+      return [];
+    }
+
+    const ids = (await fs.readdir(backupDir))
+      .filter(item => this.isBackupId(item))
+      .filter(item => fs.statSync(path.join(backupDir, item)).isDirectory())
+      .sort()
+      .reverse();
+
+    const backups = [];
+    for (const id of ids) {
+      const manifest = await this.readManifest(id);
+      backups.push(manifest || {
+        id,
+        createdAt: null,
+        markdownDir: null,
+        htmlDir: null,
+        files: await this.findBackupFiles(this.getBackupPath(id)),
+        changedFiles: null
+      });
+    }
+    return backups;
+  }
+
+  /**
+   * Copy the files of a backup back to its HTML directory (or htmlDir when given).
+   * With files, only those paths (relative to the HTML directory) are restored.
+   * Returns { success, restored } or { success: false, error }.
+   */
+  async restoreBackup(id, files = [], htmlDir = null) {
+    try {
+      if (!this.isBackupId(id) || !await fs.pathExists(this.getBackupPath(id))) {
+        return { success: false, error: `Backup not found: ${id}` };
+      }
+      const backupPath = this.getBackupPath(id);
+
+      const manifest = await this.readManifest(id);
+      const targetDir = htmlDir || (manifest && manifest.htmlDir);
+      if (!targetDir) {
+        return { success: false, error: `Backup ${id} has no manifest; pass the HTML directory to restore to` };
+      }
+
+      const available = manifest ? manifest.files : await this.findBackupFiles(backupPath);
+      const requested = files.map(file => file.split(path.sep).join('/').replace(/^\.\//, ''));
+      const missing = requested.filter(file => !available.includes(file));
+      if (missing.length > 0) {
+        return { success: false, error: `Not in backup ${id}: ${missing.join(', ')}` };
+      }
+
+      const restored = requested.length > 0 ? requested : available;
+      const outside = restored.filter(file => path.isAbsolute(file) || file.split('/').includes('..'));
+      if (outside.length > 0) {
+        return { success: false, error: `Backup ${id} lists files outside its folder: ${outside.join(', ')}` };
+      }
+      for (const file of restored) {
+        await fs.copy(path.join(backupPath, file), path.join(targetDir, file));
+        console.log(`♻️  Restored: ${file}`);
+      }
+
+      console.log(`✅ Restored ${restored.length} files from ${id} to ${targetDir}`);
+      return { success: true, restored };
+    } catch (error) {
+      console.error('❌ Restore failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete all but the newest keep backups. Returns { success, removed }.
+   */
+  async pruneBackups(keep) {
+    try {
+      const backups = await this.listBackups();
+      const removed = backups.slice(keep).map(backup => backup.id);
+
+      for (const id of removed) {
+        await fs.remove(this.getBackupPath(id));
+        console.log(`🗑️  Removed: ${id}`);
+      }
+
+      console.log(`✅ Kept ${Math.min(keep, backups.length)} backups, removed ${removed.length}`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('❌ Prune failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Print backups, newest first
+   */
+  printBackups(backups) {
+    if (backups.length === 0) {
+      console.log(`ℹ️  No backups in ${this.config.backupDir}`);
+      return;
+    }
+
+    console.log(`💾 Backups in ${this.config.backupDir}:`);
+    backups.forEach(backup => {
+      const changed = backup.changedFiles
+        ? `${backup.changedFiles.length} changed of ${backup.files.length} files`
+        : `${backup.files.length} files, no manifest`;
+      console.log(`\n   ${backup.id} (${changed})`);
+      if (backup.htmlDir) {
+        console.log(`      HTML: ${backup.htmlDir}`);
+      }
+      if (backup.markdownDir) {
+        console.log(`      Markdown: ${backup.markdownDir}`);
+      }
+      (backup.changedFiles || []).forEach(file => console.log(`      • ${file}`));
+    });
+  }
+
+  isBackupId(id) {
+    return typeof id === 'string' && BACKUP_ID.test(id);
+  }
+
+  getBackupPath(id) {
+    if (!this.isBackupId(id)) {
+      throw new Error(`Invalid backup id: ${id}`);
+    }
+    return path.join(path.resolve(this.config.backupDir), id);
+  }
+
+  async readManifest(id) {
+    const manifestFile = path.join(this.getBackupPath(id), MANIFEST_FILE);
+    return await fs.pathExists(manifestFile) ? fs.readJson(manifestFile) : null;
+  }
+
+  async writeManifest(id, manifest) {
+    await fs.writeJson(path.join(this.getBackupPath(id), MANIFEST_FILE), manifest, { spaces: 2 });
+  }
+
+  /**
+   * Files of a backup folder, relative and with forward slashes, without the manifest
+   */
+  async findBackupFiles(dir, base = dir) {
+    const files = [];
+    for (const item of await fs.readdir(dir)) {
+      const itemPath = path.join(dir, item);
+      if ((await fs.stat(itemPath)).isDirectory()) {
+        files.push(...await this.findBackupFiles(itemPath, base));
+      } else if (itemPath !== path.join(base, MANIFEST_FILE)) {
+        files.push(this.toRelative(base, itemPath));
+      }
+    }
+    return files.sort();
+  }
+
+  toRelative(dir, file) {
+    return path.relative(dir, file).split(path.sep).join('/');
+  }
+}
+
+BackupManager.BACKUP_PREFIX = BACKUP_PREFIX;
+BackupManager.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = BackupManager;
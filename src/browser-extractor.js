@@ -1,15 +1,77 @@
 const fs = require('fs-extra');
 const path = require('path');
 const ContentUtils = require('./utils');
+const ContentMerge = require('./content-merge');
 
 /**
  * Browser-based content extraction using Puppeteer
  */
 
+/**
+ * Serialize the page with open shadow roots and same-origin iframes inlined.
+ * Runs in the browser: shadow content goes into a marker element at the start
+ * of its host, iframe content into a marker element right after the iframe.
+ */
+function flattenDocument(shadowRootTag, frameRootTag) {
+  // Copies live in a detached document so custom elements are not upgraded again
+  const target = document.implementation.createHTMLDocument('');
+
+  const copyChildren = (from, to) => {
+    from.childNodes.forEach(child => {
+      to.appendChild(copyNode(child));
+
+      if (child.nodeName === 'IFRAME') {
+        let frameDocument = null;
+        try {
+          frameDocument = child.contentDocument;
+        } catch (error) {
+          // Cross-origin frames are not readable
+        }
+
+        if (frameDocument && frameDocument.body) {
+          const frameRoot = target.createElement(frameRootTag);
+          copyChildren(frameDocument.body, frameRoot);
+          to.appendChild(frameRoot);
+        }
+      }
+    });
+  };
+
+  const copyNode = node => {
+    if (node.nodeType !== Node.ELEMENT_NODE || node.nodeName === 'TEMPLATE') {
+      return target.importNode(node, true);
+    }
+
+    const copy = target.importNode(node, false);
+    if (node.shadowRoot) {
+      const shadowRoot = target.createElement(shadowRootTag);
+      copyChildren(node.shadowRoot, shadowRoot);
+      copy.appendChild(shadowRoot);
+    }
+    copyChildren(node, copy);
+    return copy;
+  };
+
+  return `<!DOCTYPE html>\n${copyNode(document.documentElement).outerHTML}`;
+}
+
 class BrowserExtractor {
   constructor(config = {}) {
     this.config = config;
-    this.utils = new ContentUtils();
+    this.utils = new ContentUtils(this.config);
+  }
+
+  /**
+   * Get the rendered HTML of a page, with shadow roots and same-origin iframes
+   * flattened into it when flattenShadowDom is set
+   */
+  async getPageHtml(page) {
+    if (!this.config.flattenShadowDom) {
+      return await page.content();
+    }
+
+    console.log('🧩 Flattening shadow roots and iframes...');
+    return await page.evaluate(flattenDocument, ContentUtils.SHADOW_ROOT_TAG, ContentUtils.FRAME_ROOT_TAG);
   }
 
   /**
@@ -46,14 +108,14 @@ class BrowserExtractor {
 
       // Get the rendered HTML
       console.log('📝 Parsing content...');
-      const html = await page.content();
+      const html = await this.getPageHtml(page);
       
       // Close browser
       await browser.close();
 
       // Parse the content
       const title = this.utils.extractTitle(html);
-      const content = this.utils.parseContent(html, title);
+      const { content, metadata, structuredData, locale, contentRoot } = this.utils.parseDocument(html);
 
       if (content.length === 0) {
         return { success: false, content: [], error: 'No content found' };
@@ -63,9 +125,10 @@ class BrowserExtractor {
       await fs.ensureDir(this.config.outputDir);
 
       // Write markdown file
-      const markdown = this.utils.convertToMarkdown(content, this.config.siteUrl, 'Browser');
-      const outputPath = path.join(this.config.outputDir, 'extracted-content.md');
-      await fs.writeFile(outputPath, markdown, 'utf-8');
+      const markdown = this.utils.convertContent(content, this.config.siteUrl, 'Browser', { metadata, structuredData });
+      const fileName = `extracted-content${this.utils.getOutputExtension()}`;
+      const outputPath = path.join(this.config.outputDir, fileName);
+      await new ContentMerge(this.config, this.config.outputDir).writeContentFile(fileName, markdown);
 
       // Create README
       const readme = this.utils.createReadme(title, 'Browser', this.config.siteUrl);
@@ -76,6 +139,10 @@ class BrowserExtractor {
         success: true,
         title,
         content,
+        metadata,
+        structuredData,
+        locale,
+        contentRoot,
         outputPath,
         readmePath,
         method: 'Browser',
@@ -118,16 +185,20 @@ class BrowserExtractor {
 
       await new Promise(resolve => setTimeout(resolve, this.config.waitTime || 3000));
 
-      const html = await page.content();
+      const html = await this.getPageHtml(page);
       await browser.close();
 
       const title = this.utils.extractTitle(html);
-      const content = this.utils.parseContent(html, title);
+      const { content, metadata, structuredData, locale, contentRoot } = this.utils.parseDocument(html);
 
       return {
         success: true,
         title,
         content,
+        metadata,
+        structuredData,
+        locale,
+        contentRoot,
         method: 'Browser'
       };
 
@@ -2,9 +2,16 @@
 
 const SmartExtractor = require('./extractor');
 const SyncBack = require('./sync-back');
+const TranslationExchange = require('./translation-exchange');
+const ContentValidator = require('./content-validator');
+const BackupManager = require('./backup-manager');
+const ContentUtils = require('./utils');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Subcommands of backups
+const BACKUP_COMMANDS = ['list', 'restore', 'prune'];
+
 // CLI interface
 if (require.main === module) {
   main();
@@ -29,9 +36,28 @@ async function main() {
     console.log('  content-sync https://example.com ./my-content --depth 3');
     console.log('  content-sync https://example.com ./my-content --depth 2 --filter admin --filter login');
     console.log('');
+    console.log('  # Re-extract into content files that were already edited');
+    console.log('  content-sync ./my-html-directory ./my-content --merge');
+    console.log('');
     console.log('  # Sync edited markdown back to HTML');
     console.log('  content-sync --sync-back ./my-content ./html-source');
     console.log('  content-sync --sync-back ./my-content ./html-source --dry-run');
+    console.log('  content-sync --sync-back ./my-content ./html-source --force markdown');
+    console.log('  content-sync --sync-back ./my-content ./html-source --dry-run --diff --report sync-report.json');
+    console.log('');
+    console.log('  # Check edited markdown before syncing it back');
+    console.log('  content-sync --validate ./my-content ./html-source');
+    console.log('');
+    console.log('  # Sync-back backups');
+    console.log('  content-sync backups list');
+    console.log('  content-sync backups restore backup-2024-01-01T00-00-00-000Z');
+    console.log('  content-sync backups restore backup-2024-01-01T00-00-00-000Z about.html blog/post.html');
+    console.log('  content-sync backups prune --keep 5');
+    console.log('');
+    console.log('  # Translation files for translators');
+    console.log('  content-sync --export-translations ./my-content ./translations --format po --target-lang fr');
+    console.log('  content-sync --import-translations ./translations-fr ./my-content ./my-content-fr');
+    console.log('  content-sync --import-translations ./translations-fr ./my-content ./my-content-fr --html ./html-source ./html-fr');
     console.log('');
     console.log('Options:');
     console.log('  <input>                  Website URL or local file/directory path');
@@ -40,9 +66,34 @@ async function main() {
     console.log('  --depth <number>         Crawl to specific depth (1-5)');
     console.log('  --filter <pattern>       Filter out pages containing pattern (can be used multiple times)');
     console.log('  --max-pages <number>     Maximum pages to extract (default: 50)');
+    console.log('  --shadow-dom             Include open shadow roots and same-origin iframes (browser extraction)');
     console.log('  --exclude <pattern>      Exclude files/directories matching pattern (local processing)');
+    console.log('  --stamp-ids              Stamp data-content-id anchors into local HTML files');
+    console.log('  --content-root <sel>     CSS selector of the main content area (overrides detection)');
+    console.log('  --include <selector>     Always extract elements matching selector (can be used multiple times)');
+    console.log('  --exclude-selector <sel> Never extract elements matching selector (can be used multiple times)');
+    console.log('  --min-paragraph <number> Minimum paragraph length in characters (default: 10)');
+    console.log('  --min-div <number>       Minimum text length for div blocks (default: 50)');
+    console.log('  --format <format>        Output format: markdown (default), json or mdx');
+    console.log('  --no-shared              Keep blocks repeated across pages in every page file');
+    console.log('  --shared-min <number>    Pages a block must appear on to move to _shared.md (default: 3)');
+    console.log('  --merge                  Merge the new extraction into edited content files instead of replacing them');
     console.log('  --sync-back              Sync edited markdown files back to HTML');
     console.log('  --dry-run                Preview changes without modifying files (sync-back mode)');
+    console.log('  --update-src             Also apply edited image sources (sync-back mode)');
+    console.log('  --force <side>           Resolve conflicts with markdown or html (sync-back mode)');
+    console.log('  --report <file>          Write a JSON report of every synced block (sync-back mode)');
+    console.log('  --diff                   Print a unified diff of each changed HTML file (sync-back mode)');
+    console.log('  --backup-dir <dir>       Directory of sync-back backups (default: ./backup)');
+    console.log('  backups list             List sync-back backups with the files each run changed');
+    console.log('  backups restore <id>     Restore a backup\'s HTML files (or only the files listed after the id)');
+    console.log('  backups prune --keep <n> Delete all but the newest n backups');
+    console.log('  --validate               Check edited content files against their HTML (exits 1 on issues)');
+    console.log('  --export-translations    Export content files as XLIFF (default) or PO files');
+    console.log('  --source-lang <lang>     Source language of exported files (default: en)');
+    console.log('  --target-lang <lang>     Target language of exported files');
+    console.log('  --import-translations    Write localized content files from translated XLIFF or PO files');
+    console.log('  --html <src> <locale>    Also sync imported translations into a locale copy of the HTML');
     console.log('');
     console.log('This extractor automatically chooses between HTTP and browser extraction for URLs,');
     console.log('or processes local HTML files and directories.');
@@ -57,6 +108,26 @@ async function main() {
     return;
   }
   
+  if (input === 'backups' && BACKUP_COMMANDS.includes(args[1])) {
+    await handleBackups(args[1], args.slice(2));
+    return;
+  }
+  
+  if (input === '--validate') {
+    await handleValidate(args.slice(1));
+    return;
+  }
+  
+  if (input === '--export-translations') {
+    await handleExportTranslations(args.slice(1));
+    return;
+  }
+  
+  if (input === '--import-translations') {
+    await handleImportTranslations(args.slice(1));
+    return;
+  }
+  
   // Check if input is a URL or local path
   const isUrl = input.startsWith('http://') || input.startsWith('https://');
   
@@ -72,16 +143,24 @@ async function main() {
     
     // Parse options for local processing
     const options = {
-      excludePatterns: []
+      excludePatterns: [],
+      stampContentIds: false
     };
+    const parserOptions = {};
     
     let outputDir = './content';
     let i = 1;
     
     while (i < args.length) {
       const arg = args[i];
+      const nextIndex = parseParserOption(args, i, parserOptions);
       
-      if (arg === '--exclude') {
+      if (nextIndex !== null) {
+        i = nextIndex;
+      } else if (arg === '--stamp-ids') {
+        options.stampContentIds = true;
+        i++;
+      } else if (arg === '--exclude') {
         options.excludePatterns.push(args[i + 1]);
         i += 2;
       } else if (!arg.startsWith('--')) {
@@ -96,7 +175,9 @@ async function main() {
     const extractor = new SmartExtractor({
       inputPath: input,
       outputDir,
-      excludePatterns: options.excludePatterns
+      excludePatterns: options.excludePatterns,
+      stampContentIds: options.stampContentIds,
+      ...parserOptions
     });
     
     extractor.processLocal().then(result => {
@@ -134,6 +215,7 @@ async function main() {
     filter: [],
     maxPages: 50
   };
+  const parserOptions = {};
   
   let outputDir = './content';
   let i = 1;
@@ -141,8 +223,11 @@ async function main() {
   // Parse arguments
   while (i < args.length) {
     const arg = args[i];
+    const nextIndex = parseParserOption(args, i, parserOptions);
     
-    if (arg === '--main') {
+    if (nextIndex !== null) {
+      i = nextIndex;
+    } else if (arg === '--main') {
       options.depth = 1;
       i++;
     } else if (arg === '--depth') {
@@ -156,6 +241,9 @@ async function main() {
     } else if (arg === '--filter') {
       options.filter.push(args[i + 1]);
       i += 2;
+    } else if (arg === '--shadow-dom') {
+      parserOptions.flattenShadowDom = true;
+      i++;
     } else if (arg === '--max-pages') {
       const maxPages = parseInt(args[i + 1]);
       if (isNaN(maxPages) || maxPages < 1) {
@@ -176,7 +264,8 @@ async function main() {
 
   const extractor = new SmartExtractor({
     siteUrl: url,
-    outputDir
+    outputDir,
+    ...parserOptions
   });
 
   if (options.depth === 0) {
@@ -187,6 +276,7 @@ async function main() {
         console.log(`✅ Extraction completed using ${result.method} method!`);
         console.log(`📁 Output directory: ${result.outputDir}`);
         console.log(`📄 Content extracted: ${result.content.length} pieces`);
+        console.log(`📍 Content root: ${extractor.httpExtractor.utils.describeContentRoot(result.contentRoot)}`);
         console.log('');
         console.log('📖 Next steps:');
         console.log('1. Review the extracted content in the output directory');
@@ -211,6 +301,62 @@ async function main() {
   }
 }
 
+/**
+ * Parse an extraction option shared by local processing and crawling
+ * (content root, include/exclude selectors, minimum lengths, output format, shared blocks, merging).
+ * Returns the index of the next argument, or null if the argument is not such an option.
+ */
+function parseParserOption(args, i, parserOptions) {
+  const arg = args[i];
+  const value = args[i + 1];
+  
+  switch (arg) {
+    case '--content-root':
+      parserOptions.contentRoot = value;
+      return i + 2;
+    case '--include':
+      parserOptions.includeSelectors = [...(parserOptions.includeSelectors || []), value];
+      return i + 2;
+    case '--exclude-selector':
+      parserOptions.excludeSelectors = [...(parserOptions.excludeSelectors || []), value];
+      return i + 2;
+    case '--min-paragraph':
+    case '--min-div': {
+      const length = parseInt(value);
+      if (isNaN(length) || length < 0) {
+        console.error(`❌ Error: ${arg} must be a non-negative number`);
+        process.exit(1);
+      }
+      parserOptions[arg === '--min-paragraph' ? 'minParagraphLength' : 'minDivLength'] = length;
+      return i + 2;
+    }
+    case '--format':
+      if (!ContentUtils.OUTPUT_FORMATS[value]) {
+        console.error(`❌ Error: --format must be one of: ${Object.keys(ContentUtils.OUTPUT_FORMATS).join(', ')}`);
+        process.exit(1);
+      }
+      parserOptions.outputFormat = value;
+      return i + 2;
+    case '--no-shared':
+      parserOptions.extractShared = false;
+      return i + 1;
+    case '--merge':
+      parserOptions.mergeExisting = true;
+      return i + 1;
+    case '--shared-min': {
+      const pages = parseInt(value);
+      if (isNaN(pages) || pages < 2) {
+        console.error('❌ Error: --shared-min must be a number of at least 2');
+        process.exit(1);
+      }
+      parserOptions.sharedMinPages = pages;
+      return i + 2;
+    }
+    default:
+      return null;
+  }
+}
+
 /**
  * Handle sync-back operation
  */
@@ -246,8 +392,15 @@ async function handleSyncBack(args) {
 
   // Parse options
   const options = {
-    dryRun: false
+    dryRun: false,
+    updateImageSrc: false,
+    force: null,
+    reportFile: null,
+    showDiff: false,
+    backupDir: './backup'
   };
+  // The HTML is extracted again to check for changes made since extraction
+  const parserOptions = {};
   
   let i = 2;
   while (i < args.length) {
@@ -256,23 +409,64 @@ async function handleSyncBack(args) {
     if (arg === '--dry-run') {
       options.dryRun = true;
       i++;
+    } else if (arg === '--update-src') {
+      options.updateImageSrc = true;
+      i++;
+    } else if (arg === '--force') {
+      if (!SyncBack.FORCE_SIDES.includes(args[i + 1])) {
+        console.error(`❌ Error: --force must be one of: ${SyncBack.FORCE_SIDES.join(', ')}`);
+        process.exit(1);
+      }
+      options.force = args[i + 1];
+      i += 2;
+    } else if (arg === '--report') {
+      if (!args[i + 1] || args[i + 1].startsWith('--')) {
+        console.error('❌ Error: --report requires a file path');
+        process.exit(1);
+      }
+      options.reportFile = args[i + 1];
+      i += 2;
+    } else if (arg === '--diff') {
+      options.showDiff = true;
+      i++;
+    } else if (arg === '--backup-dir') {
+      if (!args[i + 1] || args[i + 1].startsWith('--')) {
+        console.error('❌ Error: --backup-dir requires a directory');
+        process.exit(1);
+      }
+      options.backupDir = args[i + 1];
+      i += 2;
     } else {
-      console.error(`❌ Error: Unknown option for sync-back: ${arg}`);
-      process.exit(1);
+      const nextIndex = parseParserOption(args, i, parserOptions);
+      if (nextIndex === null) {
+        console.error(`❌ Error: Unknown option for sync-back: ${arg}`);
+        process.exit(1);
+      }
+      i = nextIndex;
     }
   }
 
   // Create sync-back instance
   const syncBack = new SyncBack({
+    ...parserOptions,
     markdownDir: markdownDir,
     htmlDir: htmlDir,
-    dryRun: options.dryRun
+    dryRun: options.dryRun,
+    updateImageSrc: options.updateImageSrc,
+    force: options.force,
+    reportFile: options.reportFile,
+    showDiff: options.showDiff,
+    backupDir: options.backupDir
   });
 
   // Execute sync-back
   const result = await syncBack.syncBack();
   
-  if (result.success) {
+  // Blocks held back by conflicts fail the run, so CI and scripts notice
+  if (result.success && result.results.conflicts.length > 0) {
+    console.error(`\n❌ Sync-back left ${result.results.conflicts.length} conflicts unresolved`);
+    process.exit(1);
+  } else if (result.success) {
     console.log('\n✅ Sync-back completed successfully!');
   } else {
     console.error('\n❌ Sync-back failed:', result.error);
@@ -280,4 +474,245 @@ async function handleSyncBack(args) {
   }
 }
 
+/**
+ * Handle validation of edited content files
+ */
+async function handleValidate(args) {
+  const [markdownDir, htmlDir] = args;
+  
+  if (!markdownDir || !htmlDir || markdownDir.startsWith('--') || htmlDir.startsWith('--')) {
+    console.error('❌ Error: Both markdown directory and HTML directory are required');
+    console.log('');
+    console.log('Usage: content-sync --validate <markdown-dir> <html-dir> [extraction options]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(markdownDir)) {
+    console.error(`❌ Error: Markdown directory not found: ${markdownDir}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(htmlDir)) {
+    console.error(`❌ Error: HTML directory not found: ${htmlDir}`);
+    process.exit(1);
+  }
+
+  // The HTML is extracted again with the options used for the original extraction
+  const parserOptions = {};
+  
+  let i = 2;
+  while (i < args.length) {
+    const nextIndex = parseParserOption(args, i, parserOptions);
+    
+    if (nextIndex === null) {
+      console.error(`❌ Error: Unknown option for validation: ${args[i]}`);
+      process.exit(1);
+    }
+    i = nextIndex;
+  }
+
+  const validator = new ContentValidator({
+    markdownDir,
+    htmlDir,
+    ...parserOptions
+  });
+  const result = await validator.validate();
+  
+  if (result.success) {
+    console.log('\n✅ Content files are valid');
+  } else {
+    console.error(`\n❌ Validation failed${result.error ? `: ${result.error}` : ''}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle listing, restoring and pruning of sync-back backups
+ */
+async function handleBackups(command, args) {
+  let backupDir = './backup';
+  let htmlDir = null;
+  let keep = null;
+  const positional = [];
+  
+  let i = 0;
+  while (i < args.length) {
+    const arg = args[i];
+    
+    if (arg === '--backup-dir' || arg === '--html') {
+      if (!args[i + 1] || args[i + 1].startsWith('--')) {
+        console.error(`❌ Error: ${arg} requires a directory`);
+        process.exit(1);
+      }
+      if (arg === '--backup-dir') {
+        backupDir = args[i + 1];
+      } else {
+        htmlDir = args[i + 1];
+      }
+      i += 2;
+    } else if (arg === '--keep' && command === 'prune') {
+      keep = parseInt(args[i + 1], 10);
+      if (isNaN(keep) || keep < 0) {
+        console.error('❌ Error: --keep requires a number of backups (0 or more)');
+        process.exit(1);
+      }
+      i += 2;
+    } else if (arg.startsWith('--')) {
+      console.error(`❌ Error: Unknown option for backups ${command}: ${arg}`);
+      process.exit(1);
+    } else {
+      positional.push(arg);
+      i++;
+    }
+  }
+
+  const backupManager = new BackupManager({ backupDir });
+
+  if (command === 'list') {
+    backupManager.printBackups(await backupManager.listBackups());
+    return;
+  }
+
+  if (command === 'prune') {
+    if (keep === null) {
+      console.error('❌ Error: Please say how many backups to keep');
+      console.log('');
+      console.log('Usage: content-sync backups prune --keep <number> [--backup-dir <dir>]');
+      process.exit(1);
+    }
+    
+    const result = await backupManager.pruneBackups(keep);
+    if (!result.success) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  const [id, ...files] = positional;
+  if (!id) {
+    console.error('❌ Error: Please provide the id of the backup to restore');
+    console.log('');
+    console.log('Usage: content-sync backups restore <id> [files...] [--html <html-dir>] [--backup-dir <dir>]');
+    console.log('Run content-sync backups list to see the backups');
+    process.exit(1);
+  }
+
+  const result = await backupManager.restoreBackup(id, files, htmlDir);
+  if (!result.success) {
+    console.error(`❌ Error: ${result.error}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle translation export
+ */
+async function handleExportTranslations(args) {
+  const [contentDir, outputDir] = args;
+  
+  if (!contentDir || !outputDir || contentDir.startsWith('--') || outputDir.startsWith('--')) {
+    console.error('❌ Error: Both content directory and output directory are required');
+    console.log('');
+    console.log('Usage: content-sync --export-translations <content-dir> <output-dir> [--format xliff|po] [--source-lang <lang>] [--target-lang <lang>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`❌ Error: Content directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  const options = {};
+  
+  let i = 2;
+  while (i < args.length) {
+    const arg = args[i];
+    
+    if (arg === '--format') {
+      if (!TranslationExchange.TRANSLATION_FORMATS[args[i + 1]]) {
+        console.error(`❌ Error: --format must be one of: ${Object.keys(TranslationExchange.TRANSLATION_FORMATS).join(', ')}`);
+        process.exit(1);
+      }
+      options.format = args[i + 1];
+      i += 2;
+    } else if (arg === '--source-lang') {
+      options.sourceLanguage = args[i + 1];
+      i += 2;
+    } else if (arg === '--target-lang') {
+      options.targetLanguage = args[i + 1];
+      i += 2;
+    } else {
+      console.error(`❌ Error: Unknown option for translation export: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  const exchange = new TranslationExchange(options);
+  const result = await exchange.exportTranslations(contentDir, outputDir);
+  
+  if (result.success) {
+    console.log('\n✅ Translation export completed!');
+    console.log(`📁 Output directory: ${outputDir}`);
+  } else {
+    console.error('\n❌ Translation export failed:', result.error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle translation import
+ */
+async function handleImportTranslations(args) {
+  const [inputPath, contentDir, outputDir] = args;
+  
+  if (!inputPath || !contentDir || !outputDir || [inputPath, contentDir, outputDir].some(arg => arg.startsWith('--'))) {
+    console.error('❌ Error: Translated files, content directory and output directory are required');
+    console.log('');
+    console.log('Usage: content-sync --import-translations <translated> <content-dir> <output-dir> [--html <html-dir> <locale-html-dir>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(inputPath)) {
+    console.error(`❌ Error: Translation files not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`❌ Error: Content directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  let htmlDir = null;
+  let localeHtmlDir = null;
+  
+  let i = 3;
+  while (i < args.length) {
+    const arg = args[i];
+    
+    if (arg === '--html') {
+      htmlDir = args[i + 1];
+      localeHtmlDir = args[i + 2];
+      if (!htmlDir || !localeHtmlDir) {
+        console.error('❌ Error: --html requires the HTML directory and the locale HTML directory');
+        process.exit(1);
+      }
+      i += 3;
+    } else {
+      console.error(`❌ Error: Unknown option for translation import: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  const exchange = new TranslationExchange();
+  const result = await exchange.importTranslations(inputPath, contentDir, outputDir, htmlDir, localeHtmlDir);
+  
+  if (result.success) {
+    console.log('\n✅ Translation import completed!');
+    console.log(`📁 Localized content: ${outputDir}`);
+  } else {
+    console.error('\n❌ Translation import failed:', result.error);
+    process.exit(1);
+  }
+}
+
 module.exports = { SmartExtractor };
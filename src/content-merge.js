@@ -0,0 +1,403 @@
+const fs = require('fs-extra');
+const path = require('path');
+const SyncBack = require('./sync-back');
+
+/**
+ * Content file writing and re-extraction merging
+ * Keeps a copy of each file as it was extracted, so a later extraction can be merged
+ * with the edited file: a three-way merge of the previous extraction, the edited file
+ * and the new extraction, keyed by selector. Files whose content did not change are
+ * not rewritten.
+ */
+
+// Copies of the last extraction, inside the output directory
+const BASE_DIR = path.join('.content-sync', 'base');
+
+const CONFLICT_START = '<<<<<<< edited';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> extracted';
+
+class ContentMerge {
+  constructor(config = {}, outputDir = null) {
+    this.config = {
+      mergeExisting: false,
+      ...config
+    };
+    this.outputDir = outputDir || this.config.outputDir || './content';
+    this.syncBack = new SyncBack(config);
+    this.frontMatter = this.syncBack.frontMatter;
+    // Files as they were before this run, so a file written twice is merged once
+    this.originals = new Map();
+    this.conflicts = [];
+  }
+
+  /**
+   * Write an extracted content file (fileName is relative to the output directory).
+   * With mergeExisting, an existing file is merged with the new extraction instead of
+   * replaced. Returns { written, merged, conflicts }.
+   */
+  async writeContentFile(fileName, content) {
+    const filePath = path.join(this.outputDir, fileName);
+    const basePath = path.join(this.outputDir, BASE_DIR, fileName);
+    const original = await this.readOriginal(fileName, filePath, basePath);
+
+    let output = content;
+    let conflicts = [];
+    if (this.config.mergeExisting && original.edited !== null) {
+      ({ content: output, conflicts } = this.mergeContent(fileName, original.base, original.edited, content));
+      conflicts
+        .filter(conflict => !this.conflicts.some(entry => entry.file === fileName && entry.selector === conflict))
+        .forEach(conflict => {
+          console.log(`⚠️  Merge conflict in ${fileName}: ${conflict}`);
+        });
+      this.conflicts = this.conflicts.filter(entry => entry.file !== fileName)
+        .concat(conflicts.map(selector => ({ file: fileName, selector })));
+    }
+
+    // Unchanged files keep their extraction time
+    const base = this.keepUnchanged(fileName, original.base, content);
+    if (base !== original.currentBase) {
+      await fs.ensureDir(path.dirname(basePath));
+      await fs.writeFile(basePath, base);
+      original.currentBase = base;
+    }
+
+    output = this.keepUnchanged(fileName, original.edited, output);
+    const written = output !== original.edited;
+    if (output !== original.current) {
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, output);
+      original.current = output;
+    }
+
+    return { written, merged: this.config.mergeExisting && original.edited !== null, conflicts };
+  }
+
+  /**
+   * Print the number of merge conflicts left in the written files
+   */
+  reportConflicts() {
+    if (this.conflicts.length === 0) {
+      return;
+    }
+    const files = new Set(this.conflicts.map(entry => entry.file));
+    console.log(`\n⚠️  ${this.conflicts.length} merge conflicts in ${files.size} files: resolve the blocks between "${CONFLICT_START}" and "${CONFLICT_END}" before syncing back`);
+  }
+
+  /**
+   * The previous version of a file when only its extraction time differs, otherwise the new one
+   */
+  keepUnchanged(fileName, previous, content) {
+    return previous !== null && this.isSameContent(fileName, previous, content) ? previous : content;
+  }
+
+  /**
+   * Read the edited file and the previous extraction as they were before this run.
+   * current and currentBase follow what this run has written since.
+   */
+  async readOriginal(fileName, filePath, basePath) {
+    if (!this.originals.has(fileName)) {
+      const read = async file => (await fs.pathExists(file) ? fs.readFile(file, 'utf-8') : null);
+      const edited = await read(filePath);
+      const base = await read(basePath);
+      this.originals.set(fileName, { edited, base, current: edited, currentBase: base });
+
+      if (this.config.mergeExisting && edited !== null && base === null) {
+        console.log(`ℹ️  No previous extraction of ${fileName}: blocks that differ keep their edited text`);
+      }
+    }
+    return this.originals.get(fileName);
+  }
+
+  /**
+   * Compare two versions of a content file, ignoring the extraction time
+   */
+  isSameContent(fileName, a, b) {
+    return this.normalizeContent(fileName, a) === this.normalizeContent(fileName, b);
+  }
+
+  normalizeContent(fileName, content) {
+    if (this.isJsonFile(fileName)) {
+      try {
+        const { extracted_at, ...document } = JSON.parse(content);
+        return JSON.stringify(document);
+      } catch (error) {
+        return content;
+      }
+    }
+    const { data, body } = this.frontMatter.parse(content);
+    if (!data) {
+      return body;
+    }
+    const { extracted_at, ...fields } = data;
+    return JSON.stringify(fields) + body;
+  }
+
+  isJsonFile(fileName) {
+    return path.extname(fileName).toLowerCase() === '.json';
+  }
+
+  /**
+   * Three-way merge of a content file. base is null when there is no previous extraction;
+   * edited blocks are then kept as they are. Returns { content, conflicts } where conflicts
+   * lists the selectors marked with conflict markers.
+   */
+  mergeContent(fileName, base, edited, extracted) {
+    if (this.isJsonFile(fileName)) {
+      return this.mergeJson(base, edited, extracted);
+    }
+    return this.mergeMarkdown(base, edited, extracted);
+  }
+
+  /**
+   * Merge markdown or MDX files. The new extraction gives the order of blocks and their
+   * anchor comments; blocks only in the edited file stay after the block they followed.
+   */
+  mergeMarkdown(base, edited, extracted) {
+    const baseDoc = base === null ? null : this.parseMarkdownDocument(base);
+    const editedDoc = this.parseMarkdownDocument(edited);
+    const extractedDoc = this.parseMarkdownDocument(extracted);
+    const conflicts = [];
+
+    const merged = this.mergeBlocks(baseDoc && baseDoc.blocks, editedDoc.blocks, extractedDoc.blocks);
+    const lines = [...extractedDoc.preamble];
+
+    merged.forEach(({ block, text, conflict }) => {
+      if (conflict) {
+        conflicts.push(block.selector);
+      }
+      lines.push(...block.head, ...text, ...block.tail);
+    });
+
+    const metadata = this.mergeMetadata(
+      baseDoc && baseDoc.data && baseDoc.data.metadata,
+      editedDoc.data && editedDoc.data.metadata,
+      extractedDoc.data && extractedDoc.data.metadata,
+      conflicts
+    );
+
+    const body = lines.join('\n');
+    if (!extractedDoc.data) {
+      return { content: body, conflicts };
+    }
+
+    // The hash describes the merged body, not the extraction's
+    const frontMatter = this.frontMatter.format({ ...extractedDoc.data, content_hash: this.frontMatter.hashContent(body), metadata });
+    return { content: `${frontMatter}\n${body}`, conflicts };
+  }
+
+  /**
+   * Split a markdown or MDX file into front matter data, the lines before the first block
+   * (the page title), and blocks of { key, selector, head, text, tail } lines: the anchor
+   * comments, the block text, and the blank lines and comments after it
+   */
+  parseMarkdownDocument(content) {
+    const lines = content.split('\n');
+    const { data, bodyLine } = this.frontMatter.parse(content);
+    // MDX comments are read as markdown; the lines stay the same
+    const structure = this.syncBack.parseMarkdownStructure(this.syncBack.convertMdxToMarkdown(content));
+
+    const anchors = [...structure.blocks.filter(block => block.line), ...structure.emptyBlocks]
+      .sort((a, b) => a.line - b.line);
+    const keys = this.getKeys(anchors);
+
+    const blocks = anchors.map((block, index) => {
+      const end = index + 1 < anchors.length ? anchors[index + 1].line - 1 : lines.length;
+      const slice = (from, to) => lines.slice(from - 1, to);
+
+      if (!block.contentStart) {
+        // No text: the anchor comments, then blank lines
+        let headEnd = end;
+        while (headEnd > block.line && !lines[headEnd - 1].trim()) headEnd--;
+        return { key: keys[index], selector: block.selector, head: slice(block.line, headEnd), text: [], tail: slice(headEnd + 1, end) };
+      }
+
+      return {
+        key: keys[index],
+        selector: block.selector,
+        head: slice(block.line, block.contentStart - 1),
+        text: slice(block.contentStart, block.contentEnd),
+        tail: slice(block.contentEnd + 1, end)
+      };
+    });
+
+    const firstLine = anchors.length > 0 ? anchors[0].line : lines.length + 1;
+    return { data, preamble: lines.slice(bodyLine - 1, firstLine - 1), blocks };
+  }
+
+  /**
+   * Merge JSON content files block by block on their markdown field
+   */
+  mergeJson(base, edited, extracted) {
+    const baseDoc = base === null ? null : this.syncBack.parseJsonDocument(base);
+    const editedDoc = this.syncBack.parseJsonDocument(edited);
+    const extractedDoc = this.syncBack.parseJsonDocument(extracted);
+    if (!editedDoc || !extractedDoc) {
+      return { content: extracted, conflicts: [] };
+    }
+
+    const conflicts = [];
+    const toBlocks = entries => {
+      const list = (entries || []).filter(entry => entry && entry.selector && typeof entry.markdown === 'string');
+      const keys = this.getKeys(list);
+      return list.map((entry, index) => ({ key: keys[index], selector: entry.selector, entry, text: entry.markdown.split('\n') }));
+    };
+    const mergeField = field => this.mergeBlocks(
+      baseDoc && toBlocks(baseDoc[field]),
+      toBlocks(editedDoc[field]),
+      toBlocks(extractedDoc[field])
+    ).map(({ block, text, conflict }) => {
+      if (conflict) {
+        conflicts.push(block.selector);
+      }
+      return { ...block.entry, markdown: text.join('\n') };
+    });
+
+    const blocks = mergeField('blocks');
+    const structuredData = mergeField('structuredData');
+    const document = {
+      ...extractedDoc,
+      content_hash: this.frontMatter.hashContent(JSON.stringify({ blocks, structuredData })),
+      metadata: this.mergeMetadata(baseDoc && baseDoc.metadata, editedDoc.metadata, extractedDoc.metadata, conflicts),
+      blocks,
+      structuredData
+    };
+
+    return { content: `${JSON.stringify(document, null, 2)}\n`, conflicts };
+  }
+
+  /**
+   * Three-way merge of block lists. Returns [{ block, text, conflict }] in output order,
+   * where block gives the anchor comments (from the new extraction when it has the block).
+   */
+  mergeBlocks(baseBlocks, editedBlocks, extractedBlocks) {
+    const byKey = blocks => new Map((blocks || []).map(block => [block.key, block]));
+    const base = baseBlocks ? byKey(baseBlocks) : null;
+    const edited = byKey(editedBlocks);
+    const extracted = byKey(extractedBlocks);
+    const result = [];
+
+    // Blocks only in the edited file, grouped by the extracted block they follow
+    const following = new Map();
+    let previous = null;
+    editedBlocks.forEach(block => {
+      if (extracted.has(block.key)) {
+        previous = block.key;
+        return;
+      }
+      if (!following.has(previous)) {
+        following.set(previous, []);
+      }
+      following.get(previous).push(block);
+    });
+
+    const addEditedOnly = key => {
+      (following.get(key) || []).forEach(block => {
+        const original = base && base.get(block.key);
+        if (!original) {
+          // Added in the edited file, or there is no previous extraction to tell
+          result.push({ block, text: block.text, conflict: false });
+        } else if (!this.isSameText(block.text, original.text)) {
+          // Edited, but gone from the new extraction
+          result.push({ block, text: this.formatConflict(block.text, []), conflict: true });
+        }
+      });
+    };
+
+    addEditedOnly(null);
+    extractedBlocks.forEach(block => {
+      const mine = edited.get(block.key);
+      const original = base && base.get(block.key);
+
+      if (mine) {
+        const text = this.mergeText(original ? original.text : null, mine.text, block.text, base !== null);
+        result.push({ block, text: text || this.formatConflict(mine.text, block.text), conflict: !text });
+      } else if (!original) {
+        // New in this extraction
+        result.push({ block, text: block.text, conflict: false });
+      } else if (!this.isSameText(block.text, original.text)) {
+        // Removed from the edited file, but changed in the new extraction
+        result.push({ block, text: this.formatConflict([], block.text), conflict: true });
+      }
+
+      addEditedOnly(block.key);
+    });
+
+    return result;
+  }
+
+  /**
+   * Merge the text of one block. Returns null on a conflict.
+   */
+  mergeText(original, mine, theirs, hasBase) {
+    if (this.isSameText(mine, theirs)) return mine;
+    // Without a previous extraction the edit cannot be told from a change; keep the edit
+    if (!hasBase) return mine;
+    if (original === null) return null;
+    if (this.isSameText(mine, original)) return theirs;
+    if (this.isSameText(theirs, original)) return mine;
+    return null;
+  }
+
+  isSameText(a, b) {
+    return a.join('\n').trim() === b.join('\n').trim();
+  }
+
+  /**
+   * Conflict markers around the edited and extracted text of a block
+   */
+  formatConflict(mine, theirs) {
+    return [CONFLICT_START, ...mine, CONFLICT_SEPARATOR, ...theirs, CONFLICT_END];
+  }
+
+  /**
+   * Three-way merge of page metadata. Front matter cannot hold conflict markers, so on a
+   * conflict the edited value is kept and the field is reported.
+   */
+  mergeMetadata(base, edited, extracted, conflicts) {
+    if (!extracted) {
+      return edited || undefined;
+    }
+
+    const merged = { ...extracted };
+    Object.keys(edited || {}).forEach(key => {
+      const mine = [String(edited[key] == null ? '' : edited[key])];
+      const theirs = [String(extracted[key] == null ? '' : extracted[key])];
+      const original = base && key in base ? [String(base[key] == null ? '' : base[key])] : null;
+
+      if (!(key in extracted)) {
+        if (!original || !this.isSameText(mine, original)) merged[key] = edited[key];
+        return;
+      }
+
+      const text = this.mergeText(original, mine, theirs, Boolean(base));
+      if (text) {
+        merged[key] = text === mine ? edited[key] : extracted[key];
+      } else {
+        merged[key] = edited[key];
+        conflicts.push(`meta:${key} (kept edited value; extracted "${theirs[0]}")`);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Unique keys of blocks: selector, attribute and JSON path, numbered when repeated
+   */
+  getKeys(blocks) {
+    const counts = new Map();
+    return blocks.map(block => {
+      const key = [block.selector, block.attribute || '', block.jsonPath || ''].join('\u0000');
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      return `${key}\u0000${count}`;
+    });
+  }
+}
+
+ContentMerge.BASE_DIR = BASE_DIR;
+ContentMerge.CONFLICT_START = CONFLICT_START;
+ContentMerge.CONFLICT_SEPARATOR = CONFLICT_SEPARATOR;
+ContentMerge.CONFLICT_END = CONFLICT_END;
+
+module.exports = ContentMerge;
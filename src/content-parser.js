@@ -1,10 +1,99 @@
+const crypto = require('crypto');
 const cheerio = require('cheerio');
+const JsonContent = require('./json-content');
 
 /**
  * Content parsing utilities
  */
 
+const DEFAULT_CONTENT_SELECTORS = [
+  'main',
+  '[role="main"]',
+  'article',
+  '.content',
+  '.post-content',
+  '.entry-content',
+  '.main-content',
+  '#content',
+  '#main'
+];
+
+const DEFAULT_SKIP_PATTERNS = [
+  'nav',
+  'navbar',
+  'navigation',
+  'menu',
+  'header',
+  'footer',
+  'sidebar',
+  'breadcrumb',
+  'breadcrumbs'
+];
+
+// Blocks whose text counts towards the score of their containers
+const SCORED_BLOCKS = 'p, pre, blockquote, li, td, dd, h2, h3';
+const MIN_SCORED_BLOCK_LENGTH = 25;
+
+// Elements that can be chosen as the content root
+const CANDIDATE_TAGS = ['body', 'main', 'article', 'section', 'div'];
+
+const POSITIVE_NAMES = /article|body|content|entry|main|page|post|text|blog|story/i;
+const NEGATIVE_NAMES = /comment|meta|footnote|masthead|sponsor|advert|promo|related|share|social|widget|banner|cookie|modal|popup/i;
+
+// Editable page metadata: <title> plus these <meta> tags when present.
+// The title and description are always emitted so they can be added.
+const METADATA_KEYS = [
+  'description',
+  'og:title',
+  'og:description',
+  'og:site_name',
+  'og:image:alt',
+  'twitter:title',
+  'twitter:description',
+  'twitter:image:alt'
+];
+const REQUIRED_METADATA_KEYS = ['title', 'description'];
+
+// Attributes holding editable text (tooltips, placeholders, accessible labels)
+const TEXT_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+const VALUE_INPUT_TYPES = ['submit', 'button', 'reset'];
+const ATTRIBUTE_TEXT_SELECTOR = [
+  ...TEXT_ATTRIBUTES.map(attribute => `[${attribute}]`),
+  ...VALUE_INPUT_TYPES.map(type => `input[type="${type}"][value]`)
+].join(', ');
+
+// Attribute holding stable content anchors stamped into local HTML
+const CONTENT_ID_ATTRIBUTE = 'data-content-id';
+
+// Phrasing elements that may sit next to text in a details body and stay editable as text
+const INLINE_ELEMENTS = ['a', 'strong', 'b', 'em', 'i', 'code', 'span', 'br', 'small', 'mark', 'abbr', 'sub', 'sup'];
+
+// Elements that hold flattened shadow root and iframe content in browser extraction.
+// A shadow root is the first child of its host, a frame root follows its iframe.
+const SHADOW_ROOT_TAG = 'content-sync-shadow-root';
+const FRAME_ROOT_TAG = 'content-sync-frame-root';
+const BOUNDARY_SELECTOR = `${SHADOW_ROOT_TAG}, ${FRAME_ROOT_TAG}`;
+
+// Selector combinators crossing into a shadow root or frame: any descendant, or a top-level child
+const DEEP_DESCENDANT = '>>>';
+const DEEP_CHILD = '>>>>';
+
 class ContentParser {
+  constructor(config = {}) {
+    this.config = {
+      stampContentIds: false,
+      contentRoot: null,
+      contentSelectors: DEFAULT_CONTENT_SELECTORS,
+      includeSelectors: [],
+      excludeSelectors: [],
+      skipPatterns: DEFAULT_SKIP_PATTERNS,
+      minParagraphLength: 10,
+      minDivLength: 50,
+      ...config
+    };
+    this.jsonContent = new JsonContent();
+  }
+
   /**
    * Extract title from HTML
    */
@@ -14,10 +103,110 @@ class ContentParser {
     return title || 'Untitled Page';
   }
 
+  /**
+   * Extract editable page metadata: title, meta description, Open Graph and Twitter card text
+   */
+  extractMetadata($) {
+    const metadata = [];
+    const title = $('title').first();
+
+    metadata.push({ key: 'title', value: title.text().replace(/\s+/g, ' ').trim() });
+
+    METADATA_KEYS.forEach(key => {
+      const $meta = this.findMetaTag($, key);
+      if ($meta.length > 0 || REQUIRED_METADATA_KEYS.includes(key)) {
+        metadata.push({
+          key,
+          value: ($meta.attr('content') || '').replace(/\s+/g, ' ').trim()
+        });
+      }
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Extract editable text from JSON-LD structured data (FAQ answers, opening hours, ...)
+   */
+  extractStructuredData($) {
+    const items = [];
+
+    $('script[type="application/ld+json"]').each((i, script) => {
+      const $script = $(script);
+      let data;
+
+      try {
+        data = JSON.parse($script.html());
+      } catch (error) {
+        console.log(`⚠️  Skipping invalid JSON-LD: ${error.message}`);
+        return;
+      }
+
+      const anchor = this.getAnchor($script, $);
+      this.jsonContent.collectStrings(data).forEach(field => {
+        items.push(this.createDataItem(field, anchor));
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Create a content item for a string field of JSON data
+   */
+  createDataItem(field, anchor) {
+    // Rich text fields hold HTML; keep their inline formatting
+    const isHtml = /<\/?[a-z][^>]*>/i.test(field.value);
+    const text = isHtml ? cheerio.load(field.value, null, false).root().text() : field.value;
+
+    return {
+      type: 'data',
+      text: text.replace(/\s+/g, ' ').trim(),
+      html: isHtml ? field.value : null,
+      jsonPath: field.path,
+      tag: 'script',
+      ...anchor
+    };
+  }
+
+  /**
+   * Extract the page language (html[lang]) and its hreflang alternates
+   */
+  extractLocale($) {
+    const alternates = [];
+
+    $('link[rel~="alternate"][hreflang]').each((i, link) => {
+      const hreflang = ($(link).attr('hreflang') || '').trim();
+      const href = ($(link).attr('href') || '').trim();
+      if (hreflang && href) {
+        alternates.push({ hreflang, href });
+      }
+    });
+
+    return {
+      lang: ($('html').attr('lang') || '').trim() || null,
+      alternates
+    };
+  }
+
+  /**
+   * Find a meta tag by name or property (sites use either for Open Graph and Twitter tags)
+   */
+  findMetaTag($, key) {
+    return $(`meta[name="${key}"], meta[property="${key}"]`).first();
+  }
+
   /**
    * Parse HTML content and extract structured content
    */
   parseContent(html, title) {
+    return this.parseDocument(html).content;
+  }
+
+  /**
+   * Parse HTML content and report the content root that was used
+   */
+  parseDocument(html) {
     const $ = cheerio.load(html);
     const content = [];
 
@@ -31,34 +220,201 @@ class ContentParser {
     }
 
     // Find main content area
-    const contentSelectors = [
-      'main',
-      '[role="main"]',
-      'article',
-      '.content',
-      '.post-content',
-      '.entry-content',
-      '.main-content',
-      '#content',
-      '#main'
-    ];
-
-    let $contentArea = null;
-    for (const selector of contentSelectors) {
-      $contentArea = $(selector);
-      if ($contentArea.length > 0) {
+    const contentRoot = this.findContentRoot($);
+
+    // Extract content in order
+    this.usedContentIds = new Set($(`[${CONTENT_ID_ATTRIBUTE}]`).toArray().map(el => $(el).attr(CONTENT_ID_ATTRIBUTE)));
+    this.extractContentInOrder(contentRoot.$element, content, $);
+
+    const result = {
+      content,
+      metadata: this.extractMetadata($),
+      structuredData: this.extractStructuredData($),
+      locale: this.extractLocale($),
+      contentRoot: {
+        selector: contentRoot.selector,
+        score: contentRoot.score,
+        method: contentRoot.method
+      }
+    };
+
+    // Return the stamped document so it can be written back
+    if (this.config.stampContentIds) {
+      result.html = $.html();
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the main content area: the configured root if it matches, otherwise
+   * the best scoring candidate, otherwise the first content selector or body
+   */
+  findContentRoot($) {
+    if (this.config.contentRoot) {
+      const $root = $(this.config.contentRoot);
+      if ($root.length > 0) {
+        return { $element: $root, selector: this.config.contentRoot, score: null, method: 'config' };
+      }
+      console.log(`⚠️  Content root not found: ${this.config.contentRoot}`);
+    }
+
+    const candidates = this.scoreCandidates($);
+    if (candidates.length > 0) {
+      const best = candidates[0];
+      const $root = this.expandContentRoot(best.$element, $);
+      return {
+        $element: $root,
+        selector: $root.is('body') ? 'body' : this.generateSelector($root, $),
+        score: Math.round(best.score * 10) / 10,
+        method: 'scored'
+      };
+    }
+
+    for (const selector of this.config.contentSelectors) {
+      const $match = $(selector);
+      if ($match.length > 0) {
+        return { $element: $match, selector, score: null, method: 'selector' };
+      }
+    }
+
+    return { $element: $('body'), selector: 'body', score: null, method: 'body' };
+  }
+
+  /**
+   * Describe a content root for log output
+   */
+  describeContentRoot(contentRoot) {
+    if (!contentRoot) {
+      return 'unknown';
+    }
+    const score = contentRoot.score !== null ? `, score ${contentRoot.score}` : '';
+    return `${contentRoot.selector} (${contentRoot.method}${score})`;
+  }
+
+  /**
+   * Rank candidate containers, Readability style. Each text block adds to the
+   * score of its nearest containers (less the further up it is), and the total
+   * is weighted by the container's tag and class/id, link density and text density.
+   * Returns candidates sorted by score, best first.
+   */
+  scoreCandidates($) {
+    const scores = new Map();
+
+    $('body').find(SCORED_BLOCKS).each((i, block) => {
+      const text = $(block).text().replace(/\s+/g, ' ').trim();
+      if (text.length < MIN_SCORED_BLOCK_LENGTH) {
+        return;
+      }
+
+      const blockScore = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+
+      // Text inside shadow roots and frames counts towards the containers of the outermost host
+      const $outerBoundary = $(block).parents(BOUNDARY_SELECTOR).last();
+      let $ancestor = $outerBoundary.length > 0 ? this.getBoundaryHost($outerBoundary).parent() : $(block).parent();
+      for (let level = 0; level < 3 && $ancestor.length > 0 && !$ancestor.is('html'); level++) {
+        const ancestor = $ancestor[0];
+
+        if (this.isCandidate($ancestor)) {
+          const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+          scores.set(ancestor, (scores.get(ancestor) || 0) + blockScore / divider);
+        }
+
+        $ancestor = $ancestor.parent();
+      }
+    });
+
+    return Array.from(scores.entries())
+      .map(([element, score]) => {
+        const $element = $(element);
+        const linkDensity = this.getLinkDensity($element, $);
+        const textDensity = this.getTextDensity($element, $);
+        return {
+          $element,
+          score: score * this.getCandidateWeight($element) * (1 - linkDensity) * Math.min(1, 0.5 + textDensity)
+        };
+      })
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Move up from the best candidate while its parent only adds a little text,
+   * such as a heading above the scored paragraphs
+   */
+  expandContentRoot($element, $) {
+    const textLength = $element.text().replace(/\s+/g, ' ').trim().length;
+    let $root = $element;
+    let $parent = $root.parent();
+
+    while ($parent.length > 0 && !$parent.is('body, html') &&
+           this.isCandidate($parent) && this.getCandidateWeight($parent) >= 1) {
+      const parentLength = $parent.text().replace(/\s+/g, ' ').trim().length;
+      if (parentLength > textLength * 1.25) {
         break;
       }
+      $root = $parent;
+      $parent = $root.parent();
     }
 
-    if (!$contentArea || $contentArea.length === 0) {
-      $contentArea = $('body');
+    return $root;
+  }
+
+  /**
+   * Check whether an element can be a content root
+   */
+  isCandidate($element) {
+    return CANDIDATE_TAGS.includes($element[0].name) || $element.attr('role') === 'main';
+  }
+
+  /**
+   * Weight of a candidate from its tag, class and id. Weights multiply the
+   * block score, so a small container cannot win on its name alone.
+   */
+  getCandidateWeight($element) {
+    let weight = 1;
+
+    if (['main', 'article'].includes($element[0].name) || $element.attr('role') === 'main') {
+      weight *= 1.25;
     }
 
-    // Extract content in order
-    this.extractContentInOrder($contentArea, content, $);
+    const names = [$element.attr('class'), $element.attr('id')].filter(Boolean).join(' ');
+    if (NEGATIVE_NAMES.test(names) || names.split(/\s+/).some(name => name && this.matchesSkipPattern(name))) {
+      weight *= 0.25;
+    } else if (POSITIVE_NAMES.test(names) || this.config.contentSelectors.some(selector => $element.is(selector))) {
+      weight *= 1.25;
+    }
+
+    return weight;
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  getLinkDensity($element, $) {
+    const textLength = $element.text().replace(/\s+/g, ' ').trim().length;
+    if (textLength === 0) {
+      return 0;
+    }
+
+    let linkLength = 0;
+    $element.find('a').each((i, link) => {
+      linkLength += $(link).text().replace(/\s+/g, ' ').trim().length;
+    });
+
+    return Math.min(1, linkLength / textLength);
+  }
 
-    return content;
+  /**
+   * Ratio of visible text to markup inside an element
+   */
+  getTextDensity($element, $) {
+    const htmlLength = ($element.html() || '').length;
+    if (htmlLength === 0) {
+      return 0;
+    }
+
+    return $element.text().replace(/\s+/g, ' ').trim().length / htmlLength;
   }
 
   /**
@@ -69,11 +425,18 @@ class ContentParser {
       const $child = $(child);
       const tagName = $child[0].name;
 
+      // Elements matching an include selector bypass skip rules and length thresholds
+      const forceInclude = this.matchesAny($child, this.config.includeSelectors);
+
       // Skip navigation and non-content elements
-      if (this.shouldSkipElement($child, tagName)) {
+      if (this.shouldSkipElement($child, tagName, forceInclude)) {
         return;
       }
 
+      // Editable attribute text of the element itself
+      this.extractAttributeText($child, content, $);
+      let recursed = false;
+
       switch (tagName) {
         case 'h1':
         case 'h2':
@@ -86,40 +449,40 @@ class ContentParser {
             content.push({
               type: 'heading',
               text: headingText,
+              html: $child.html(),
               tag: tagName,
-              selector: this.generateSelector($child, $)
+              ...this.getAnchor($child, $)
             });
           }
           break;
 
         case 'p':
           const paragraphText = $child.text().trim();
-          if (paragraphText && paragraphText.length > 10) {
+          if (paragraphText && (forceInclude || paragraphText.length >= this.config.minParagraphLength)) {
             content.push({
               type: 'paragraph',
               text: paragraphText,
+              html: $child.html(),
               tag: 'p',
-              selector: this.generateSelector($child, $)
+              ...this.getAnchor($child, $)
             });
+          } else if (!paragraphText && $child.find('img').length > 0) {
+            // Paragraphs that only wrap images
+            this.extractContentInOrder($child, content, $);
+            recursed = true;
           }
           break;
 
         case 'ul':
         case 'ol':
-          const listItems = [];
-          $child.find('li').each((j, li) => {
-            const itemText = $(li).text().trim();
-            if (itemText) {
-              listItems.push(itemText);
-            }
-          });
+          const list = this.extractList($child, $);
 
-          if (listItems.length > 0) {
+          if (list.items.length > 0) {
             content.push({
               type: 'list',
-              items: listItems,
+              ...list,
               tag: tagName,
-              selector: this.generateSelector($child, $)
+              ...this.getAnchor($child, $)
             });
           }
           break;
@@ -130,8 +493,9 @@ class ContentParser {
             content.push({
               type: 'blockquote',
               text: quoteText,
+              html: $child.html(),
               tag: 'blockquote',
-              selector: this.generateSelector($child, $)
+              ...this.getAnchor($child, $)
             });
           }
           break;
@@ -144,7 +508,102 @@ class ContentParser {
               type: 'code',
               text: codeText,
               tag: tagName,
-              selector: this.generateSelector($child, $)
+              ...this.getAnchor($child, $)
+            });
+          }
+          break;
+
+        case 'table':
+          const tableRows = this.extractTableRows($child, $);
+          if (tableRows.length > 0) {
+            content.push({
+              type: 'table',
+              rows: tableRows,
+              tag: 'table',
+              ...this.getAnchor($child, $)
+            });
+          }
+          break;
+
+        case 'img':
+        case 'picture':
+        case 'figure':
+          const image = this.extractImage($child, $);
+          if (image) {
+            content.push({
+              type: 'image',
+              ...image,
+              tag: tagName,
+              ...this.getAnchor($child, $)
+            });
+          } else if (tagName === 'figure') {
+            // Figures around quotes, code or tables: extract the parts and the caption
+            this.extractContentInOrder($child, content, $);
+            recursed = true;
+          }
+          break;
+
+        case 'dl':
+          const definitions = this.extractDefinitions($child, $);
+          if (definitions.length > 0) {
+            content.push({
+              type: 'definitions',
+              groups: definitions,
+              tag: 'dl',
+              ...this.getAnchor($child, $)
+            });
+          }
+          break;
+
+        case 'details':
+          const details = this.extractDetails($child, $);
+          if (details.summary || details.body) {
+            content.push({
+              type: 'details',
+              ...details,
+              tag: 'details',
+              ...this.getAnchor($child, $)
+            });
+          }
+
+          // Bodies with lists, tables or images are extracted block by block
+          if (!details.body) {
+            this.extractContentInOrder($child, content, $);
+            recursed = true;
+          }
+          break;
+
+        case 'address':
+        case 'figcaption':
+          if ($child.children('p, div, ul, ol, dl, table').length > 0) {
+            this.extractContentInOrder($child, content, $);
+            recursed = true;
+            break;
+          }
+
+          // Addresses and captions are always extracted, however short
+          const lineText = $child.text().trim();
+          if (lineText) {
+            content.push({
+              type: tagName === 'address' ? 'address' : 'caption',
+              text: lineText,
+              html: $child.html(),
+              tag: tagName,
+              ...this.getAnchor($child, $)
+            });
+          }
+          break;
+
+        case 'button':
+          // Button labels are always extracted, however short
+          const buttonText = $child.text().trim();
+          if (buttonText) {
+            content.push({
+              type: 'paragraph',
+              text: buttonText,
+              html: $child.html(),
+              tag: 'button',
+              ...this.getAnchor($child, $)
             });
           }
           break;
@@ -152,16 +611,17 @@ class ContentParser {
         case 'div':
           // For divs, check if they contain substantial text content
           const divText = $child.text().trim();
-          if (divText.length > 50) {
+          if (forceInclude || divText.length >= this.config.minDivLength) {
             // Check if this div doesn't contain other extracted elements
-            const hasExtractedChildren = $child.find('p, h1, h2, h3, h4, h5, h6, ul, ol, blockquote, pre, code').length > 0;
+            const hasExtractedChildren = $child.find('p, h1, h2, h3, h4, h5, h6, ul, ol, dl, blockquote, pre, code, table, figure, details, address').length > 0;
             
             if (!hasExtractedChildren) {
               content.push({
                 type: 'div',
                 text: divText,
+                html: $child.html(),
                 tag: 'div',
-                selector: this.generateSelector($child, $)
+                ...this.getAnchor($child, $)
               });
             }
           }
@@ -170,125 +630,527 @@ class ContentParser {
           if ($child.children && $child.children().length > 0) {
             this.extractContentInOrder($child, content, $);
           }
+          recursed = true;
           break;
 
         default:
+          // Included elements of other types (buttons, links, spans) are extracted as text
+          if (forceInclude) {
+            const text = $child.text().trim();
+            if (text) {
+              content.push({
+                type: 'paragraph',
+                text: text,
+                html: $child.html(),
+                tag: tagName,
+                ...this.getAnchor($child, $)
+              });
+            }
+            break;
+          }
+
           // For other elements, recursively process children
           if ($child.children && $child.children().length > 0) {
             this.extractContentInOrder($child, content, $);
           }
+          recursed = true;
           break;
       }
+
+      // Editable attribute text inside blocks that were extracted as a whole
+      if (!recursed) {
+        $child.find(ATTRIBUTE_TEXT_SELECTOR).each((j, descendant) => {
+          this.extractAttributeText($(descendant), content, $);
+        });
+      }
+    });
+  }
+
+  /**
+   * Extract list items with their nested lists, keeping order and numbering
+   */
+  extractList($list, $) {
+    const start = parseInt($list.attr('start'), 10);
+
+    return {
+      ordered: $list.is('ol'),
+      start: isNaN(start) ? 1 : start,
+      items: $list.children('li').toArray().map(li => {
+        const $inline = $(li).clone();
+        $inline.children('ul, ol').remove();
+
+        return {
+          text: $inline.text().trim(),
+          html: $inline.html(),
+          children: $(li).children('ul, ol').toArray().map(nested => this.extractList($(nested), $))
+        };
+      })
+    };
+  }
+
+  /**
+   * Extract the term groups of a definition list: [{ terms: [{ text, html }], definitions: [{ text, html }] }]
+   */
+  extractDefinitions($dl, $) {
+    const groups = [];
+
+    this.getDefinitionElements($dl, $).forEach(element => {
+      const $element = $(element);
+      const entry = { text: $element.text().trim(), html: $element.html() };
+
+      if (element.name === 'dt') {
+        const last = groups[groups.length - 1];
+        if (!last || last.definitions.length > 0) {
+          groups.push({ terms: [], definitions: [] });
+        }
+        groups[groups.length - 1].terms.push(entry);
+      } else {
+        if (groups.length === 0) {
+          groups.push({ terms: [], definitions: [] });
+        }
+        groups[groups.length - 1].definitions.push(entry);
+      }
+    });
+
+    return groups.filter(group => group.terms.some(term => term.text) || group.definitions.some(definition => definition.text));
+  }
+
+  /**
+   * The dt and dd elements of a definition list in order, including those grouped in divs
+   */
+  getDefinitionElements($dl, $) {
+    return $dl.children().toArray().flatMap(child => {
+      if (child.name === 'div') {
+        return $(child).children('dt, dd').toArray();
+      }
+      return ['dt', 'dd'].includes(child.name) ? [child] : [];
+    });
+  }
+
+  /**
+   * Extract the summary and body paragraphs of a details element.
+   * The body is null when it holds more than paragraphs and inline text.
+   */
+  extractDetails($details, $) {
+    const $summary = $details.children('summary').first();
+    const chunks = this.getDetailsChunks($details, $);
+
+    return {
+      summary: $summary.text().trim(),
+      summaryHtml: $summary.html() || '',
+      body: chunks ? chunks.map(chunk => ({
+        text: chunk.nodes.map(node => $(node).text()).join('').trim(),
+        html: chunk.$p ? chunk.$p.html() : chunk.nodes.map(node => $.html(node)).join('')
+      })) : null
+    };
+  }
+
+  /**
+   * Split the body of a details element into paragraphs: each <p>, and each run of
+   * text and inline elements. Returns null if the body holds other elements.
+   */
+  getDetailsChunks($details, $) {
+    const chunks = [];
+    let run = null;
+
+    for (const node of $details.contents().toArray()) {
+      if (node.type === 'tag' && node.name === 'summary') {
+        run = null;
+        continue;
+      }
+      if (node.type === 'tag' && node.name === 'p') {
+        chunks.push({ nodes: [node], $p: $(node) });
+        run = null;
+      } else if (node.type === 'text' || (node.type === 'tag' && INLINE_ELEMENTS.includes(node.name))) {
+        if (!run) {
+          run = { nodes: [], $p: null };
+          chunks.push(run);
+        }
+        run.nodes.push(node);
+      } else if (node.type === 'tag') {
+        return null;
+      }
+    }
+
+    // Whitespace between paragraphs is not a paragraph of its own
+    return chunks.filter(chunk => chunk.nodes.some(node => $(node).text().trim()));
+  }
+
+  /**
+   * Extract the rows and cells of a table, ignoring nested tables
+   */
+  extractTableRows($table, $) {
+    const rows = [];
+
+    $table.find('tr').each((i, tr) => {
+      const $row = $(tr);
+      if ($row.closest('table')[0] !== $table[0]) {
+        return;
+      }
+
+      const cells = $row.children('th, td').toArray().map(cell => {
+        const $cell = $(cell);
+        return {
+          text: $cell.text().trim(),
+          html: $cell.html(),
+          header: cell.name === 'th' || $row.parent().is('thead')
+        };
+      });
+
+      if (cells.length > 0) {
+        rows.push({ cells });
+      }
+    });
+
+    // Drop tables without any text
+    if (!rows.some(row => row.cells.some(cell => cell.text))) {
+      return [];
+    }
+
+    return rows;
+  }
+
+  /**
+   * Extract image source, alt text, title and caption from img, picture or figure
+   */
+  extractImage($element, $) {
+    const $img = $element.is('img') ? $element : $element.find('img').first();
+    if ($img.length === 0) {
+      return null;
+    }
+
+    const src = $img.attr('src') || '';
+    const alt = $img.attr('alt') || '';
+    if (!src && !alt) {
+      return null;
+    }
+
+    const image = {
+      src,
+      alt,
+      title: $img.attr('title') || ''
+    };
+
+    if ($element.is('figure')) {
+      const $caption = $element.children('figcaption').first();
+      if ($caption.length > 0) {
+        image.caption = $caption.text().trim();
+        image.captionHtml = $caption.html();
+      }
+    }
+
+    return image;
+  }
+
+  /**
+   * Extract editable attribute text (placeholder, aria-label, title tooltip,
+   * submit/button input value) of a single element
+   */
+  extractAttributeText($element, content, $) {
+    const tagName = $element[0].name;
+    const attributes = [...TEXT_ATTRIBUTES];
+
+    // Image titles are edited with the image itself
+    if (tagName === 'img') {
+      attributes.splice(attributes.indexOf('title'), 1);
+    }
+
+    if (tagName === 'input' && VALUE_INPUT_TYPES.includes(($element.attr('type') || '').toLowerCase())) {
+      attributes.push('value');
+    }
+
+    attributes.forEach(attribute => {
+      const value = ($element.attr(attribute) || '').trim();
+      if (!value) return;
+
+      content.push({
+        type: 'attribute',
+        attribute,
+        text: value,
+        tag: tagName,
+        ...this.getAnchor($element, $)
+      });
     });
   }
 
+  /**
+   * Build the anchor of an extracted element: its selector and, when content
+   * ids are enabled or already present, its stable content id
+   */
+  getAnchor($element, $) {
+    const anchor = { selector: this.generateSelector($element, $) };
+    const existingId = $element.attr(CONTENT_ID_ATTRIBUTE);
+
+    if (existingId) {
+      anchor.contentId = existingId;
+    } else if (this.config.stampContentIds) {
+      anchor.contentId = this.createContentId(anchor.selector);
+      $element.attr(CONTENT_ID_ATTRIBUTE, anchor.contentId);
+    }
+
+    return anchor;
+  }
+
+  /**
+   * Create a short content id from the element's selector, unique in the document
+   */
+  createContentId(selector) {
+    const base = `c-${crypto.createHash('sha1').update(selector).digest('hex').slice(0, 8)}`;
+    let contentId = base;
+    let suffix = 2;
+
+    while (this.usedContentIds && this.usedContentIds.has(contentId)) {
+      contentId = `${base}-${suffix++}`;
+    }
+
+    if (this.usedContentIds) {
+      this.usedContentIds.add(contentId);
+    }
+    return contentId;
+  }
+
   /**
    * Check if element should be skipped
    */
-  shouldSkipElement($element, tagName) {
-    const className = $element.attr('class') || '';
-    const id = $element.attr('id') || '';
+  shouldSkipElement($element, tagName, forceInclude = false) {
     const text = $element.text().trim();
 
-    // Skip navigation elements
-    const navPatterns = ['nav', 'menu', 'header', 'footer', 'sidebar', 'breadcrumb'];
-    const hasNavClass = navPatterns.some(pattern => 
-      className.toLowerCase().includes(pattern) || 
-      id.toLowerCase().includes(pattern)
-    );
+    // Skip explicitly excluded elements
+    if (this.matchesAny($element, this.config.excludeSelectors)) return true;
 
-    if (hasNavClass) return true;
+    if (!forceInclude) {
+      // Skip navigation elements
+      const names = [
+        ...($element.attr('class') || '').split(/\s+/),
+        $element.attr('id') || ''
+      ].filter(Boolean);
+
+      if (names.some(name => this.matchesSkipPattern(name))) return true;
+    }
 
     // Skip script and style tags
     if (tagName === 'script' || tagName === 'style') return true;
 
-    // Skip empty elements
-    if (text.length === 0) return true;
+    // Skip empty elements, unless they are or contain images or editable attribute text
+    if (text.length === 0 && tagName !== 'img' && $element.find('img').length === 0 &&
+        !$element.is(ATTRIBUTE_TEXT_SELECTOR) && $element.find(ATTRIBUTE_TEXT_SELECTOR).length === 0) return true;
 
     return false;
   }
 
   /**
-   * Generate CSS selector for element
+   * Check whether a class or id matches a skip pattern. A name matches when it
+   * is the pattern itself or ends with it ("site-header", "main_nav"), so names
+   * such as "header-image" are not treated as navigation.
+   */
+  matchesSkipPattern(name) {
+    const lowerName = name.toLowerCase();
+    return this.config.skipPatterns.some(pattern => {
+      const lowerPattern = pattern.toLowerCase();
+      return lowerName === lowerPattern ||
+        lowerName.endsWith(`-${lowerPattern}`) ||
+        lowerName.endsWith(`_${lowerPattern}`);
+    });
+  }
+
+  /**
+   * Check whether an element matches any of the given selectors
+   */
+  matchesAny($element, selectors) {
+    return selectors.some(selector => $element.is(selector));
+  }
+
+  /**
+   * Generate a CSS selector that matches exactly this element in the document.
+   * Elements inside a flattened shadow root or frame get the selector of the host,
+   * then ">>>" and a selector that is unique inside the root.
    */
   generateSelector($element, $) {
-    // Try to generate a unique CSS selector for the element
+    const $boundary = this.getBoundary($element);
     const tagName = $element[0].name;
     const id = $element.attr('id');
     const classes = $element.attr('class');
+    const candidates = [];
     
     // If element has an ID, use it (most specific)
     if (id) {
-      return `#${id}`;
+      candidates.push(`#${this.escapeIdentifier(id)}`);
     }
     
     // If element has classes, try to create a specific selector
     if (classes) {
-      const classList = classes.split(' ').filter(c => c.trim());
-      if (classList.length > 0) {
-        // Use the first class that seems content-related
-        const contentClasses = classList.filter(c => 
-          !c.includes('nav') && 
-          !c.includes('menu') && 
-          !c.includes('header') && 
-          !c.includes('footer') &&
-          !c.includes('sidebar')
-        );
-        
-        if (contentClasses.length > 0) {
-          return `${tagName}.${contentClasses[0]}`;
-        }
+      const classList = classes.split(/\s+/).filter(c => c.trim());
+      // Use the first class that seems content-related
+      const contentClasses = classList.filter(c => 
+        !c.includes('nav') && 
+        !c.includes('menu') && 
+        !c.includes('header') && 
+        !c.includes('footer') &&
+        !c.includes('sidebar')
+      );
+      
+      if (contentClasses.length > 0) {
+        candidates.push(`${tagName}.${this.escapeIdentifier(contentClasses[0])}`);
       }
     }
     
-    // Generate a path-based selector as fallback
-    const path = this.getElementPath($element, $);
-    if (path) {
-      return path;
+    // Path-based selector
+    const steps = this.getElementPathSteps($element, $);
+    candidates.push(steps.map(step => step.selector).join(' > '));
+    
+    const unique = candidates.find(selector => this.isUniqueSelector(selector, $element, $, $boundary));
+    if (unique) {
+      return this.scopeSelector(unique, $boundary, $, DEEP_DESCENDANT);
     }
     
-    // Last resort: tag name with nth-child
-    const parent = $element.parent();
-    if (parent.length > 0) {
-      const siblings = parent.children(tagName);
-      const index = siblings.index($element) + 1;
-      return `${tagName}:nth-child(${index})`;
+    // Add :nth-of-type steps, starting at the element, until exactly one element matches
+    for (let i = steps.length - 1; i >= 0; i--) {
+      if (steps[i].anchored) continue;
+      
+      steps[i].selector += `:nth-of-type(${this.getTypeIndex(steps[i].$element)})`;
+      const selector = steps.map(step => step.selector).join(' > ');
+      if (this.isUniqueSelector(selector, $element, $, $boundary)) {
+        return this.scopeSelector(selector, $boundary, $, DEEP_DESCENDANT);
+      }
     }
     
-    return tagName;
+    // Anchor the fully indexed path where it starts: the body (html for head elements),
+    // or the top of its shadow root or frame
+    const selector = steps.map(step => step.selector).join(' > ');
+    if (steps.length > 0 && steps[0].anchored) {
+      return this.scopeSelector(selector, $boundary, $, DEEP_DESCENDANT);
+    }
+    if ($boundary) {
+      return this.scopeSelector(selector, $boundary, $, DEEP_CHILD);
+    }
+    const root = steps.length > 0 ? steps[0].$element.parent()[0] : null;
+    return `${root && root.name === 'html' ? 'html' : 'body'} > ${selector}`;
+  }
+
+  /**
+   * Prefix a selector that is unique inside a shadow root or frame with the selector of its host
+   */
+  scopeSelector(selector, $boundary, $, combinator) {
+    if (!$boundary) {
+      return selector;
+    }
+    return `${this.generateSelector(this.getBoundaryHost($boundary), $)} ${combinator} ${selector}`;
+  }
+
+  /**
+   * Find the flattened shadow root or frame an element belongs to, if any
+   */
+  getBoundary($element) {
+    const $boundary = $element.parents(BOUNDARY_SELECTOR).first();
+    return $boundary.length > 0 ? $boundary : null;
+  }
+
+  /**
+   * The element a flattened root belongs to: the shadow host, or the iframe
+   */
+  getBoundaryHost($boundary) {
+    return $boundary[0].name === SHADOW_ROOT_TAG ? $boundary.parent() : $boundary.prev('iframe');
+  }
+
+  /**
+   * Find the elements matching a selector in the document, or inside one flattened root,
+   * leaving out those in other shadow roots and frames
+   */
+  queryScope(selector, $boundary, $) {
+    const $matches = $boundary ? $boundary.find(selector) : $(selector);
+    const hasBoundaries = $boundary ? $boundary.find(BOUNDARY_SELECTOR).length > 0 : $(BOUNDARY_SELECTOR).length > 0;
+
+    if (!hasBoundaries) {
+      return $matches;
+    }
+    return $matches.filter((i, match) => {
+      const $matchBoundary = this.getBoundary($(match));
+      return $boundary ? $matchBoundary && $matchBoundary[0] === $boundary[0] : !$matchBoundary;
+    });
   }
 
   /**
    * Generate CSS path selector
    */
   getElementPath($element, $) {
-    const path = [];
+    return this.getElementPathSteps($element, $).map(step => step.selector).join(' > ');
+  }
+
+  /**
+   * Build the steps of a path selector from below the body (or flattened root) down to the element.
+   * The path starts at the nearest ancestor with a unique id, if any.
+   */
+  getElementPathSteps($element, $) {
+    const steps = [];
+    const $boundary = this.getBoundary($element);
     let current = $element;
     
-    while (current.length > 0 && current[0].name !== 'body') {
+    while (current.length > 0 && current[0].name !== 'body' && current[0].name !== 'html' &&
+           (current[0].type === 'tag' || current[0].type === 'script') && !current.is(BOUNDARY_SELECTOR)) {
       const tagName = current[0].name;
       const id = current.attr('id');
       const classes = current.attr('class');
       
-      let selector = tagName;
-      
-      if (id) {
-        selector = `#${id}`;
-        path.unshift(selector);
+      if (id && this.queryScope(`#${this.escapeIdentifier(id)}`, $boundary, $).length === 1) {
+        steps.unshift({ selector: `#${this.escapeIdentifier(id)}`, $element: current, anchored: true });
         break;
-      } else if (classes) {
-        const classList = classes.split(' ').filter(c => c.trim());
+      }
+      
+      let selector = tagName;
+      if (classes) {
+        const classList = classes.split(/\s+/).filter(c => c.trim());
         if (classList.length > 0) {
-          selector = `${tagName}.${classList[0]}`;
+          selector = `${tagName}.${this.escapeIdentifier(classList[0])}`;
         }
       }
       
-      path.unshift(selector);
+      steps.unshift({ selector, $element: current, anchored: false });
       current = current.parent();
     }
     
-    return path.join(' > ');
+    return steps;
+  }
+
+  /**
+   * Position of an element among its siblings of the same tag (1-based)
+   */
+  getTypeIndex($element) {
+    const tagName = $element[0].name;
+    return $element.prevAll(tagName).length + 1;
+  }
+
+  /**
+   * Check that a selector matches exactly the given element
+   * (inside the given flattened root, when there is one)
+   */
+  isUniqueSelector(selector, $element, $, $boundary = null) {
+    if (!selector) {
+      return false;
+    }
+    
+    try {
+      const $matches = this.queryScope(selector, $boundary, $);
+      return $matches.length === 1 && $matches[0] === $element[0];
+    } catch (error) {
+      // Invalid selector
+      return false;
+    }
+  }
+
+  /**
+   * Escape a class name or id for use in a CSS selector
+   */
+  escapeIdentifier(name) {
+    return name
+      .replace(/[^a-zA-Z0-9_\-\u00A0-\uFFFF]/g, char => `\\${char}`)
+      .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
   }
 }
 
+ContentParser.CONTENT_ID_ATTRIBUTE = CONTENT_ID_ATTRIBUTE;
+ContentParser.SHADOW_ROOT_TAG = SHADOW_ROOT_TAG;
+ContentParser.FRAME_ROOT_TAG = FRAME_ROOT_TAG;
+ContentParser.DEEP_DESCENDANT = DEEP_DESCENDANT;
+ContentParser.DEEP_CHILD = DEEP_CHILD;
+
 module.exports = ContentParser;
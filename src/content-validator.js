@@ -0,0 +1,245 @@
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+const SyncBack = require('./sync-back');
+const SharedContent = require('./shared-content');
+
+/**
+ * Content validation
+ * Checks edited content files against a fresh extraction of their HTML before
+ * sync-back, so text is never attached to the wrong selector
+ */
+
+// Types whose blocks are a single paragraph; more than one means two blocks ran together
+const SINGLE_CHUNK_TYPES = ['heading', 'paragraph', 'blockquote'];
+
+class ContentValidator {
+  constructor(config = {}) {
+    this.config = {
+      markdownDir: config.markdownDir || './content',
+      htmlDir: config.htmlDir || './',
+      ...config
+    };
+    this.syncBack = new SyncBack(this.config);
+  }
+
+  /**
+   * Validate every content file of the markdown directory.
+   * Returns { success, files, issues } where success is false when any issue was found.
+   */
+  async validate() {
+    console.log('🔎 Validating content files...');
+    console.log(`📁 Markdown directory: ${this.config.markdownDir}`);
+    console.log(`📁 HTML directory: ${this.config.htmlDir}`);
+
+    try {
+      const contentFiles = await this.syncBack.findMarkdownFiles(this.config.markdownDir);
+      const issues = [];
+      let files = 0;
+
+      for (const contentFile of contentFiles) {
+        const content = await fs.readFile(contentFile, 'utf-8');
+        if (!this.isContentFile(contentFile, content)) continue;
+
+        files++;
+        issues.push(...await this.validateFile(contentFile, content));
+      }
+
+      this.printIssues(issues);
+      console.log(`\n📄 Files checked: ${files}`);
+      console.log(`${issues.length > 0 ? '❌' : '✅'} Issues found: ${issues.length}`);
+
+      return { success: issues.length === 0, files, issues };
+    } catch (error) {
+      console.error('❌ Validation failed:', error.message);
+      return { success: false, error: error.message, issues: [] };
+    }
+  }
+
+  /**
+   * Extracted content files have front matter (or JSON fields) or selector comments;
+   * READMEs and other files do not
+   */
+  isContentFile(file, content) {
+    const data = this.syncBack.readFileInfo(file, content);
+    return Boolean(data && data.content_sync !== undefined) || content.includes('Selector:');
+  }
+
+  /**
+   * Check one content file. Returns a list of { file, line, code, selector, message }.
+   */
+  async validateFile(contentFile, content) {
+    const file = path.relative(this.config.markdownDir, contentFile).split(path.sep).join('/');
+    const structure = this.parseStructure(contentFile, content);
+    const issues = [];
+    const report = (line, code, selector, message) => issues.push({ file, line, code, selector, message });
+
+    structure.orphans.forEach(orphan => {
+      report(orphan.line, 'orphaned-text', null, `Text outside any block: "${this.truncate(orphan.text)}"`);
+    });
+
+    structure.emptyBlocks.forEach(block => {
+      report(block.line, 'empty-block', block.selector, `Block has no text: ${block.selector}`);
+    });
+
+    const blocks = structure.blocks.filter(block => block.type !== 'meta');
+    blocks.filter(block => !block.content).forEach(block => {
+      report(block.line, 'empty-block', block.selector, `Block has no text: ${block.selector}`);
+    });
+
+    blocks.filter(block => this.syncBack.hasConflictMarkers(block.content)).forEach(block => {
+      report(block.contentStart || block.line, 'merge-conflict', block.selector, `Unresolved merge conflict: ${block.selector}`);
+    });
+
+    // Every anchor, with or without text, claims its selector
+    const firstLines = new Map();
+    [...blocks, ...structure.emptyBlocks].sort((a, b) => (a.line || 0) - (b.line || 0)).forEach(block => {
+      const key = this.syncBack.getBlockKey(block);
+      if (firstLines.has(key)) {
+        const first = firstLines.get(key);
+        report(block.line, 'duplicate-selector', block.selector,
+          `Selector appears more than once${first ? ` (first on line ${first})` : ''}: ${block.selector}`);
+      } else {
+        firstLines.set(key, block.line);
+      }
+    });
+
+    // Shared files list their pages; their blocks are checked with those pages
+    if (path.parse(contentFile).name === SharedContent.SHARED_FILE_BASE) {
+      return issues;
+    }
+
+    const htmlFile = await this.syncBack.findSourceHtmlFile(contentFile, content);
+    if (!htmlFile || !await fs.pathExists(htmlFile)) {
+      report(null, 'html-not-found', null, `HTML file not found: ${htmlFile}`);
+      return issues;
+    }
+
+    const html = await fs.readFile(htmlFile, 'utf-8');
+    const $ = cheerio.load(html);
+    const expected = this.syncBack.extractBlocks(html, htmlFile);
+    const expectedByKey = new Map(expected.map(block => [this.syncBack.getBlockKey(block), block]));
+
+    blocks.forEach(block => {
+      if (!block.content || this.syncBack.hasConflictMarkers(block.content)) return;
+
+      if (this.syncBack.findElement($, block).length === 0) {
+        report(block.line, 'unknown-selector', block.selector, `Selector not found in ${path.basename(htmlFile)}: ${block.selector}`);
+        return;
+      }
+
+      const original = expectedByKey.get(this.syncBack.getBlockKey(block));
+      if (!original) return;
+
+      if (original.type !== block.type) {
+        report(block.line, 'type-changed', block.selector,
+          `Block was extracted as ${original.type} but is now ${block.type}: ${block.selector}`);
+      } else if (SINGLE_CHUNK_TYPES.includes(block.type) && this.syncBack.getTextParagraphs(block.content).length > 1 &&
+        this.syncBack.getTextParagraphs(original.content).length === 1) {
+        report(block.line, 'merged-blocks', block.selector,
+          `Block holds several paragraphs; was a selector comment removed? ${block.selector}`);
+      }
+    });
+
+    // Blocks of the extraction that are neither in this file nor in the shared file
+    const present = new Set([...blocks, ...structure.emptyBlocks].map(block => this.syncBack.getBlockKey(block)));
+    const shared = await this.findSharedKeys(contentFile, content);
+
+    expected.forEach((block, index) => {
+      const key = this.syncBack.getBlockKey(block);
+      if (present.has(key) || shared.has(key)) return;
+
+      // Point at the block it followed in the extraction, or else the one it preceded
+      const isPresent = candidate => present.has(this.syncBack.getBlockKey(candidate));
+      const previous = expected.slice(0, index).reverse().find(isPresent);
+      const next = expected.slice(index + 1).find(isPresent);
+      const line = firstLines.get(this.syncBack.getBlockKey(previous || next || block)) || null;
+      const position = line ? ` expected ${previous ? 'after' : 'before'} line ${line}` : '';
+      report(line, 'missing-selector', block.selector,
+        `Missing selector comment for ${block.type} block${position}: ${block.selector}`);
+    });
+
+    return issues;
+  }
+
+  /**
+   * Parse a content file into { blocks, emptyBlocks, orphans }. Blocks of JSON files get
+   * the line of their selector field.
+   */
+  parseStructure(file, content) {
+    switch (path.extname(file).toLowerCase()) {
+      case '.json':
+        return this.parseJsonStructure(content);
+      case '.mdx':
+        return this.syncBack.parseMarkdownStructure(this.syncBack.convertMdxToMarkdown(content));
+      default:
+        return this.syncBack.parseMarkdownStructure(content);
+    }
+  }
+
+  parseJsonStructure(content) {
+    const lines = content.split('\n');
+    let searchFrom = 0;
+
+    const blocks = this.syncBack.parseJsonContent(content).map(block => {
+      if (block.meta) return block;
+
+      const field = `"selector": ${JSON.stringify(block.selector)}`;
+      const index = lines.findIndex((line, lineIndex) => lineIndex >= searchFrom && line.includes(field));
+      if (index === -1) return { ...block, line: null };
+
+      searchFrom = index + 1;
+      return { ...block, line: index + 1 };
+    });
+
+    return { blocks, emptyBlocks: [], orphans: [] };
+  }
+
+  /**
+   * Keys of the shared file blocks that belong to a page
+   */
+  async findSharedKeys(contentFile, content) {
+    const data = this.syncBack.readFileInfo(contentFile, content);
+    const keys = new Set();
+    if (!data || typeof data.shared_file !== 'string') {
+      return keys;
+    }
+
+    const sharedFile = path.join(path.dirname(contentFile), data.shared_file);
+    if (!await fs.pathExists(sharedFile)) {
+      return keys;
+    }
+
+    const page = path.relative(path.dirname(sharedFile), contentFile).split(path.sep).join('/');
+    this.syncBack.parseContentFile(sharedFile, await fs.readFile(sharedFile, 'utf-8'))
+      .filter(block => (block.sharedBy || []).includes(page))
+      .forEach(block => keys.add(this.syncBack.getBlockKey(block)));
+
+    return keys;
+  }
+
+  truncate(text) {
+    return text.length > 50 ? `${text.substring(0, 50)}...` : text;
+  }
+
+  /**
+   * Print issues grouped by file, as file:line
+   */
+  printIssues(issues) {
+    let currentFile = null;
+
+    issues
+      .slice()
+      .sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0))
+      .forEach(issue => {
+        if (issue.file !== currentFile) {
+          currentFile = issue.file;
+          console.log(`\n📄 ${issue.file}`);
+        }
+        const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        console.log(`   ❌ ${location} [${issue.code}] ${issue.message}`);
+      });
+  }
+}
+
+module.exports = ContentValidator;
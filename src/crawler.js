@@ -2,8 +2,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const { URL } = require('url');
 const HttpExtractor = require('./http-extractor');
+const HydrationExtractor = require('./hydration-extractor');
 const BrowserExtractor = require('./browser-extractor');
 const LinkParser = require('./link-parser');
+const LocaleIndex = require('./locale-index');
+const SharedContent = require('./shared-content');
+const ContentUtils = require('./utils');
+const ContentMerge = require('./content-merge');
 
 /**
  * Multi-page website crawling functionality
@@ -13,6 +18,11 @@ class WebsiteCrawler {
   constructor(config = {}) {
     this.config = {
       waitTime: 3000,
+      extractShared: true,
+      sharedMinPages: 3,
+      flattenShadowDom: false,
+      outputFormat: 'markdown',
+      mergeExisting: false,
       userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
       ...config
     };
@@ -57,8 +67,9 @@ class WebsiteCrawler {
     console.log(`📋 Found ${pagesToExtract.length} pages to extract`);
 
     // Extract each page
+    const extracted = [];
     for (const page of pagesToExtract) {
-      if (this.extractedPages.length >= maxPages) {
+      if (extracted.length >= maxPages) {
         console.log(`⚠️  Reached maximum page limit (${maxPages})`);
         break;
       }
@@ -68,40 +79,32 @@ class WebsiteCrawler {
         
         // Create a new extractor instance for each page
         const pageConfig = {
+          ...this.config,
           siteUrl: page.url,
           outputDir: path.join(outputDir, 'temp') // Temporary directory
         };
         
         const pageHttpExtractor = new HttpExtractor(pageConfig);
+        const pageHydrationExtractor = new HydrationExtractor(pageConfig);
         const pageBrowserExtractor = new BrowserExtractor(pageConfig);
         
-        // Try HTTP first, then browser
-        let result = await pageHttpExtractor.extractFromUrl(page.url);
+        // Try HTTP first, then hydration data, then browser (straight away when flattening shadow roots)
+        let result = { success: false, content: [] };
+        
+        if (!this.config.flattenShadowDom) {
+          result = await pageHttpExtractor.extractFromUrl(page.url);
+          
+          if (!result.success || result.content.length === 0) {
+            result = await pageHydrationExtractor.extractFromUrl(page.url);
+          }
+        }
         
         if (!result.success || result.content.length === 0) {
           result = await pageBrowserExtractor.extractFromUrl(page.url);
         }
         
         if (result.success && result.content && result.content.length > 0) {
-          const fileName = this.linkParser.generateFileName(page.route);
-          const filePath = path.join(outputDir, fileName);
-          
-          // Ensure directory exists for nested routes
-          await fs.ensureDir(path.dirname(filePath));
-          
-          const ContentUtils = require('./utils');
-          const utils = new ContentUtils();
-          const markdown = utils.convertToMarkdown(result.content, page.url);
-          await fs.writeFile(filePath, markdown);
-          
-          this.extractedPages.push({
-            url: page.url,
-            route: page.route,
-            fileName: fileName,
-            contentPieces: result.content.length
-          });
-          
-          console.log(`✅ Extracted: ${fileName} (${result.content.length} pieces)`);
+          extracted.push({ page, result });
         } else {
           console.log(`⚠️  No content found: ${page.url}`);
         }
@@ -110,8 +113,84 @@ class WebsiteCrawler {
       }
     }
 
+    // Sites in several languages get one folder per locale
+    const localeIndex = new LocaleIndex(this.config);
+    const locales = localeIndex.assignLocales(extracted);
+    const multiLocale = locales.length > 1;
+
+    if (multiLocale) {
+      console.log(`\n🌍 Locales found: ${locales.join(', ')}`);
+    }
+
+    // Name each page's file, with the extension of the output format
+    const utils = new ContentUtils(this.config);
+    this.contentMerge = new ContentMerge(this.config, outputDir);
+    extracted.forEach(entry => {
+      const fileName = multiLocale
+        ? path.posix.join(entry.locale, this.linkParser.generateFileName(entry.localRoute))
+        : this.linkParser.generateFileName(entry.page.route);
+      entry.fileName = fileName.replace(/\.md$/, utils.getOutputExtension());
+      entry.content = entry.result.content;
+    });
+
+    // Move blocks repeated across pages into a shared file, per locale
+    const sharedFiles = [];
+    if (this.config.extractShared) {
+      const groups = multiLocale ? locales.map(locale => extracted.filter(entry => entry.locale === locale)) : [extracted];
+      for (const group of groups) {
+        const sharedFile = await this.writeSharedContent(group, outputDir, multiLocale ? group[0].locale : '', utils);
+        if (sharedFile) {
+          sharedFiles.push(sharedFile);
+        }
+      }
+    }
+
+    // Write each page
+    for (const entry of extracted) {
+      const { page, result, fileName } = entry;
+
+      try {
+        const markdown = utils.convertContent(entry.content, page.url, result.method === 'Hydration' ? 'Hydration' : 'Smart', {
+          metadata: result.metadata,
+          structuredData: result.structuredData,
+          sharedFile: entry.sharedFile
+        });
+        await this.contentMerge.writeContentFile(fileName, markdown);
+        entry.written = true;
+        
+        this.extractedPages.push({
+          url: page.url,
+          route: page.route,
+          fileName,
+          locale: entry.locale,
+          contentPieces: entry.content.length,
+          sharedPieces: result.content.length - entry.content.length,
+          contentRoot: result.contentRoot
+        });
+        
+        console.log(`✅ Extracted: ${fileName} (${entry.content.length} pieces)`);
+        console.log(`📍 Content root: ${utils.describeContentRoot(result.contentRoot)}`);
+      } catch (error) {
+        console.log(`❌ Failed to write ${page.url}: ${error.message}`);
+      }
+    }
+
+    // Pair pages with their translations and report the gaps
+    let translationIndex = null;
+    if (multiLocale) {
+      translationIndex = localeIndex.buildIndex(extracted.filter(entry => entry.written), locales);
+      await fs.writeFile(path.join(outputDir, 'locales.json'), JSON.stringify(translationIndex, null, 2));
+
+      const incomplete = translationIndex.pages.filter(page => page.missing.length > 0);
+      console.log(`🌍 Translation index: locales.json (${translationIndex.pages.length} pages)`);
+      incomplete.forEach(page => {
+        console.log(`⚠️  Missing translations for ${page.route}: ${page.missing.join(', ')}`);
+      });
+    }
+
     // Create overview README
-    await this.createOverviewReadme(outputDir, baseUrl, this.extractedPages);
+    await this.createOverviewReadme(outputDir, baseUrl, this.extractedPages, translationIndex, sharedFiles);
+    this.contentMerge.reportConflicts();
 
     console.log(`\n🎉 Crawl completed!`);
     console.log(`📁 Output directory: ${outputDir}`);
@@ -120,6 +199,32 @@ class WebsiteCrawler {
     return this.extractedPages;
   }
 
+  /**
+   * Write blocks shared by several pages of a group to _shared.md in the group's folder,
+   * and remove them from each page's content. Returns the shared file name, or null.
+   */
+  async writeSharedContent(entries, outputDir, dir, utils) {
+    const sharedContent = new SharedContent(utils, this.config);
+    const { shared, pages } = sharedContent.findSharedBlocks(entries);
+
+    if (shared.length === 0) {
+      return null;
+    }
+
+    const sharedFile = path.posix.join(dir, sharedContent.getSharedFileName());
+    await this.contentMerge.writeContentFile(sharedFile, sharedContent.convertContent(shared, dir));
+
+    entries.forEach((entry, index) => {
+      if (pages[index].content.length !== entry.content.length) {
+        entry.content = pages[index].content;
+        entry.sharedFile = path.posix.relative(path.posix.dirname(entry.fileName), sharedFile);
+      }
+    });
+
+    console.log(`🔗 Shared blocks: ${sharedFile} (${shared.length} blocks)`);
+    return sharedFile;
+  }
+
   /**
    * Discover pages by following internal links
    */
@@ -166,7 +271,26 @@ class WebsiteCrawler {
   /**
    * Create overview README for multi-page extraction
    */
-  async createOverviewReadme(outputDir, baseUrl, extractedPages) {
+  async createOverviewReadme(outputDir, baseUrl, extractedPages, translationIndex = null, sharedFiles = []) {
+    const translations = translationIndex ? `
+## Translations
+Locales: ${translationIndex.locales.join(', ')}
+Pages are paired through \`hreflang\` links, or by matching route. The full index is in \`locales.json\`.
+
+| Page | ${translationIndex.locales.join(' | ')} |
+| --- | ${translationIndex.locales.map(() => '---').join(' | ')} |
+${translationIndex.pages.map(page => {
+  const cells = translationIndex.locales.map(locale => page.translations[locale] ? `\`${page.translations[locale]}\`` : '❌ missing');
+  return `| ${page.route === '/' ? 'Homepage' : page.route} | ${cells.join(' | ')} |`;
+}).join('\n')}
+` : '';
+
+    const shared = sharedFiles.length > 0 ? `
+## Shared Content
+Blocks that appear on several pages (same selector and text) are kept once in ${sharedFiles.map(file => `\`${file}\``).join(', ')}.
+Edit them there; each block lists the pages it belongs to.
+` : '';
+
     const readmeContent = `# Website Content Extraction
 
 ## Overview
@@ -180,7 +304,7 @@ ${extractedPages.map(page => {
   const route = page.route === '/' ? 'Homepage' : page.route;
   return `- **${route}** → \`${page.fileName}\` (${page.contentPieces} content pieces)`;
 }).join('\n')}
-
+${translations}${shared}
 ## Usage
 Each markdown file contains the extracted content from the corresponding page.
 CSS selectors are included as comments to enable precise content synchronization.
@@ -189,7 +313,7 @@ CSS selectors are included as comments to enable precise content synchronization
 \`\`\`
 ${outputDir}/
 ${extractedPages.map(page => `├── ${page.fileName}`).join('\n')}
-└── README.md (this file)
+${sharedFiles.map(file => `├── ${file} (shared blocks)\n`).join('')}${translationIndex ? '├── locales.json (translation index)\n' : ''}└── README.md (this file)
 \`\`\`
 
 ---
@@ -1,11 +1,12 @@
 const HttpExtractor = require('./http-extractor');
+const HydrationExtractor = require('./hydration-extractor');
 const BrowserExtractor = require('./browser-extractor');
 const WebsiteCrawler = require('./crawler');
 const LocalProcessor = require('./local-processor');
 
 /**
  * Smart Content Extractor
- * Automatically chooses between HTTP and browser extraction based on website type
+ * Automatically chooses between HTTP, hydration data and browser extraction based on website type
  */
 
 class SmartExtractor {
@@ -16,6 +17,8 @@ class SmartExtractor {
       outputDir: config.outputDir || './content',
       forceBrowser: config.forceBrowser || false,
       forceHttp: config.forceHttp || false,
+      flattenShadowDom: false,
+      outputFormat: 'markdown',
       waitTime: 3000,
       userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
       ...config
@@ -25,6 +28,7 @@ class SmartExtractor {
     
     // Initialize extractors
     this.httpExtractor = new HttpExtractor(this.config);
+    this.hydrationExtractor = new HydrationExtractor(this.config);
     this.browserExtractor = new BrowserExtractor(this.config);
     this.crawler = new WebsiteCrawler(this.config);
     this.localProcessor = new LocalProcessor(this.config);
@@ -43,8 +47,9 @@ class SmartExtractor {
     console.log(`📄 Extracting from: ${this.config.siteUrl}`);
 
     try {
-      // First, try HTTP extraction to check if it's a static site
-      if (!this.config.forceBrowser) {
+      // First, try HTTP extraction to check if it's a static site.
+      // Shadow roots only exist in a browser, so flattening them skips straight to it.
+      if (!this.config.forceBrowser && !this.config.flattenShadowDom) {
         console.log('🔍 Checking if HTTP extraction is sufficient...');
         const httpResult = await this.httpExtractor.tryHttpExtraction();
         
@@ -52,7 +57,17 @@ class SmartExtractor {
           console.log('✅ HTTP extraction successful! Using HTTP method.');
           return httpResult;
         } else {
-          console.log('⚠️  HTTP extraction found no content. Switching to browser extraction...');
+          console.log('⚠️  HTTP extraction found no content. Checking for hydration data...');
+        }
+
+        // Next.js and Nuxt pages carry their copy as JSON in the HTML
+        const hydrationResult = await this.hydrationExtractor.tryHydrationExtraction(httpResult.html);
+
+        if (hydrationResult.success && hydrationResult.content.length > 0) {
+          console.log(`✅ Hydration data extraction successful! Using ${hydrationResult.framework} page data.`);
+          return hydrationResult;
+        } else {
+          console.log('⚠️  No hydration data found. Switching to browser extraction...');
         }
       }
 
@@ -74,6 +89,10 @@ class SmartExtractor {
    */
   async extractContent(url) {
     try {
+      if (this.config.flattenShadowDom) {
+        return await this.browserExtractor.extractFromUrl(url);
+      }
+      
       // Try HTTP first
       const httpResult = await this.httpExtractor.extractFromUrl(url);
       
@@ -81,6 +100,13 @@ class SmartExtractor {
         return httpResult;
       }
       
+      // Then hydration data
+      const hydrationResult = await this.hydrationExtractor.extractFromUrl(url, httpResult.html);
+      
+      if (hydrationResult.success && hydrationResult.content.length > 0) {
+        return hydrationResult;
+      }
+      
       // Fall back to browser extraction
       return await this.browserExtractor.extractFromUrl(url);
       
@@ -113,6 +139,13 @@ class SmartExtractor {
     return await this.httpExtractor.tryHttpExtraction();
   }
 
+  /**
+   * Force hydration data extraction
+   */
+  async extractHydration() {
+    return await this.hydrationExtractor.tryHydrationExtraction();
+  }
+
   /**
    * Force browser extraction
    */
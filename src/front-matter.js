@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+/**
+ * YAML front matter for extracted markdown files
+ * Writes and reads the block between "---" lines at the top of a file. Only the
+ * subset that is written here is understood: scalar values and one level of
+ * nested mappings.
+ */
+
+// Bumped when the meaning of front matter fields changes
+const FRONT_MATTER_VERSION = 1;
+const VERSION_KEY = 'content_sync';
+
+class FrontMatter {
+  /**
+   * Render data as a front matter block. Null and undefined values are left out.
+   */
+  format(data) {
+    let yaml = '---\n';
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === null || value === undefined) return;
+
+      if (typeof value === 'object') {
+        yaml += `${this.formatKey(key)}:\n`;
+        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+          yaml += `  ${this.formatKey(nestedKey)}: ${this.formatScalar(nestedValue)}\n`;
+        });
+      } else {
+        yaml += `${this.formatKey(key)}: ${this.formatScalar(value)}\n`;
+      }
+    });
+
+    return `${yaml}---\n`;
+  }
+
+  /**
+   * Keys are written plain when YAML allows it ("og:title"), quoted otherwise
+   */
+  formatKey(key) {
+    return /^[A-Za-z_][\w:.-]*$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  /**
+   * Numbers are written plain, everything else as a double-quoted string
+   * (JSON string escapes are valid in YAML double-quoted scalars)
+   */
+  formatScalar(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+    return JSON.stringify(value == null ? '' : String(value));
+  }
+
+  /**
+   * Split a markdown file into front matter data and body.
+   * Returns { data, body, bodyLine } where data is null when there is no front matter
+   * and bodyLine is the 1-based line the body starts on.
+   */
+  parse(markdown) {
+    // The blank line written after the block is not part of the body
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n(?:\r?\n)?|$)/);
+    if (!match) {
+      return { data: null, body: markdown, bodyLine: 1 };
+    }
+
+    const data = {};
+    let mapping = null;
+
+    match[1].split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+
+      // Plain keys may contain colons that are not followed by a space ("og:title")
+      const entry = line.match(/^(\s*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#](?:[^:]|:(?!\s|$))*?)\s*:(?:\s+(.*))?$/);
+      if (!entry) {
+        throw new Error(`Invalid front matter line: ${line}`);
+      }
+
+      const key = this.parseScalar(entry[2]);
+      const value = entry[3] === undefined ? '' : entry[3].trim();
+
+      if (entry[1].length > 0 && mapping) {
+        mapping[key] = this.parseScalar(value);
+      } else if (value === '') {
+        mapping = {};
+        data[key] = mapping;
+      } else {
+        mapping = null;
+        data[key] = this.parseScalar(value);
+      }
+    });
+
+    if (typeof data[VERSION_KEY] === 'number' && data[VERSION_KEY] > FRONT_MATTER_VERSION) {
+      console.warn(`⚠️  Front matter version ${data[VERSION_KEY]} is newer than supported (${FRONT_MATTER_VERSION})`);
+    }
+
+    return {
+      data,
+      body: markdown.slice(match[0].length),
+      bodyLine: (match[0].match(/\n/g) || []).length + 1
+    };
+  }
+
+  /**
+   * Parse a quoted or plain YAML scalar
+   */
+  parseScalar(text) {
+    if (text.startsWith('"')) {
+      return JSON.parse(text);
+    }
+    if (text.startsWith("'")) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === '' || text === '~' || text === 'null') {
+      return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+      return Number(text);
+    }
+    // Plain scalars end at a comment
+    return text.replace(/\s+#.*$/, '');
+  }
+
+  /**
+   * Hash of the markdown body (without its front matter), to tell whether it changed since extraction
+   */
+  hashContent(body) {
+    return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+
+  /**
+   * Short hash of one block's text as extracted, kept with the block so sync-back
+   * can tell whether the element changed in the HTML since then
+   */
+  hashBlock(text) {
+    return crypto.createHash('sha256').update(text.trim()).digest('hex').slice(0, 16);
+  }
+}
+
+FrontMatter.VERSION = FRONT_MATTER_VERSION;
+FrontMatter.VERSION_KEY = VERSION_KEY;
+
+module.exports = FrontMatter;
@@ -2,6 +2,7 @@ const fetch = require('node-fetch');
 const fs = require('fs-extra');
 const path = require('path');
 const ContentUtils = require('./utils');
+const ContentMerge = require('./content-merge');
 
 /**
  * HTTP-based content extraction
@@ -10,7 +11,30 @@ const ContentUtils = require('./utils');
 class HttpExtractor {
   constructor(config = {}) {
     this.config = config;
-    this.utils = new ContentUtils();
+    this.utils = new ContentUtils(this.config);
+  }
+
+  /**
+   * Fetch the HTML of a page
+   */
+  async fetchHtml(url) {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': this.config.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+      },
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return await response.text();
   }
 
   /**
@@ -18,37 +42,23 @@ class HttpExtractor {
    */
   async tryHttpExtraction() {
     try {
-      const response = await fetch(this.config.siteUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        },
-        timeout: 10000
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const html = await response.text();
+      const html = await this.fetchHtml(this.config.siteUrl);
       const title = this.utils.extractTitle(html);
-      const content = this.utils.parseContent(html, title);
+      const { content, metadata, structuredData, locale, contentRoot } = this.utils.parseDocument(html);
 
+      // The fetched page goes back with an empty result, for the hydration data check
       if (content.length === 0) {
-        return { success: false, content: [] };
+        return { success: false, content: [], html };
       }
 
       // Create output directory
       await fs.ensureDir(this.config.outputDir);
 
       // Write markdown file
-      const markdown = this.utils.convertToMarkdown(content, this.config.siteUrl, 'HTTP');
-      const outputPath = path.join(this.config.outputDir, 'extracted-content.md');
-      await fs.writeFile(outputPath, markdown, 'utf-8');
+      const markdown = this.utils.convertContent(content, this.config.siteUrl, 'HTTP', { metadata, structuredData });
+      const fileName = `extracted-content${this.utils.getOutputExtension()}`;
+      const outputPath = path.join(this.config.outputDir, fileName);
+      await new ContentMerge(this.config, this.config.outputDir).writeContentFile(fileName, markdown);
 
       // Create README
       const readme = this.utils.createReadme(title, 'HTTP', this.config.siteUrl);
@@ -59,6 +69,10 @@ class HttpExtractor {
         success: true,
         title,
         content,
+        metadata,
+        structuredData,
+        locale,
+        contentRoot,
         outputPath,
         readmePath,
         method: 'HTTP',
@@ -71,35 +85,25 @@ class HttpExtractor {
   }
 
   /**
-   * Extract content from a specific URL using HTTP
+   * Extract content from a specific URL using HTTP. A result without content
+   * includes the fetched html, for the hydration data check.
    */
   async extractFromUrl(url) {
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': this.config.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        },
-        timeout: 10000
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const html = await response.text();
+      const html = await this.fetchHtml(url);
       const title = this.utils.extractTitle(html);
-      const content = this.utils.parseContent(html, title);
+      const { content, metadata, structuredData, locale, contentRoot } = this.utils.parseDocument(html);
 
       return {
         success: true,
         title,
         content,
-        method: 'HTTP'
+        metadata,
+        structuredData,
+        locale,
+        contentRoot,
+        method: 'HTTP',
+        ...(content.length === 0 ? { html } : {})
       };
 
     } catch (error) {
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+const HttpExtractor = require('./http-extractor');
+const ContentUtils = require('./utils');
+const ContentMerge = require('./content-merge');
+const JsonContent = require('./json-content');
+
+/**
+ * Hydration data extraction
+ * Reads page copy from Next.js (__NEXT_DATA__) and Nuxt (__NUXT_DATA__, window.__NUXT__)
+ * payloads over plain HTTP, without rendering the page in a browser
+ */
+
+// devalue (Nuxt 3) encodes these constants as negative indices
+const DEVALUE_CONSTANTS = {
+  '-1': undefined,
+  '-2': undefined,
+  '-3': NaN,
+  '-4': Infinity,
+  '-5': -Infinity,
+  '-6': -0
+};
+
+class HydrationExtractor {
+  constructor(config = {}) {
+    this.config = config;
+    this.utils = new ContentUtils(this.config);
+    this.httpExtractor = new HttpExtractor(this.config);
+    this.jsonContent = new JsonContent();
+  }
+
+  /**
+   * Try hydration data extraction for the configured site URL. Pass the page's html
+   * when it was already fetched, so it is not requested again.
+   */
+  async tryHydrationExtraction(fetchedHtml = null) {
+    try {
+      const html = fetchedHtml || await this.httpExtractor.fetchHtml(this.config.siteUrl);
+      const title = this.utils.extractTitle(html);
+      const { content, metadata, structuredData, locale, framework, contentRoot } = this.parseHydration(html);
+
+      if (content.length === 0) {
+        return { success: false, content: [] };
+      }
+
+      // Create output directory
+      await fs.ensureDir(this.config.outputDir);
+
+      // Write markdown file
+      const markdown = this.utils.convertContent(content, this.config.siteUrl, 'Hydration', { metadata, structuredData });
+      const fileName = `extracted-content${this.utils.getOutputExtension()}`;
+      const outputPath = path.join(this.config.outputDir, fileName);
+      await new ContentMerge(this.config, this.config.outputDir).writeContentFile(fileName, markdown);
+
+      // Create README
+      const readme = this.utils.createReadme(title, 'Hydration', this.config.siteUrl);
+      const readmePath = path.join(this.config.outputDir, 'README.md');
+      await fs.writeFile(readmePath, readme, 'utf-8');
+
+      return {
+        success: true,
+        title,
+        content,
+        metadata,
+        structuredData,
+        locale,
+        framework,
+        contentRoot,
+        outputPath,
+        readmePath,
+        method: 'Hydration',
+        outputDir: this.config.outputDir
+      };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Extract hydration data content from a specific URL, or from its already fetched html
+   */
+  async extractFromUrl(url, fetchedHtml = null) {
+    try {
+      const html = fetchedHtml || await this.httpExtractor.fetchHtml(url);
+      const title = this.utils.extractTitle(html);
+      const { content, metadata, structuredData, locale, framework, contentRoot } = this.parseHydration(html);
+
+      return {
+        success: true,
+        title,
+        content,
+        metadata,
+        structuredData,
+        locale,
+        framework,
+        contentRoot,
+        method: 'Hydration'
+      };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Parse the hydration payload of a page into content blocks
+   */
+  parseHydration(html) {
+    const $ = cheerio.load(html);
+    const metadata = this.utils.extractMetadata($);
+    const structuredData = this.utils.extractStructuredData($);
+    const locale = this.utils.extractLocale($);
+    const payload = this.findPayload($);
+
+    if (!payload) {
+      return { content: [], metadata, structuredData, locale, framework: null, contentRoot: null };
+    }
+
+    console.log(`🧩 Found ${payload.framework} hydration data`);
+
+    const selector = this.utils.generateSelector(payload.$script, $);
+    const content = this.jsonContent.collectStrings(payload.data, payload.rootSegments)
+      .map(field => this.utils.createDataItem(field, { selector }));
+
+    return {
+      content,
+      metadata,
+      structuredData,
+      locale,
+      framework: payload.framework,
+      contentRoot: { selector, score: null, method: 'hydration' }
+    };
+  }
+
+  /**
+   * Find and decode the hydration payload of a page
+   */
+  findPayload($) {
+    // Next.js
+    const $next = $('script#__NEXT_DATA__').first();
+    if ($next.length > 0) {
+      const data = this.parseJson($next.html(), '__NEXT_DATA__');
+      if (data) {
+        return { framework: 'Next.js', $script: $next, data, rootSegments: ['props', 'pageProps'] };
+      }
+    }
+
+    // Nuxt 3 (devalue-encoded JSON)
+    const $nuxt3 = $('script#__NUXT_DATA__').first();
+    if ($nuxt3.length > 0) {
+      const encoded = this.parseJson($nuxt3.html(), '__NUXT_DATA__');
+      if (Array.isArray(encoded)) {
+        return { framework: 'Nuxt', $script: $nuxt3, data: this.decodeDevalue(encoded), rootSegments: [] };
+      }
+    }
+
+    // Nuxt 2 (window.__NUXT__ object literal)
+    const $nuxt2 = $('script').filter((i, script) => /^\s*window\.__NUXT__\s*=/.test($(script).html() || '')).first();
+    if ($nuxt2.length > 0) {
+      const source = $nuxt2.html().replace(/^\s*window\.__NUXT__\s*=\s*/, '').replace(/;\s*$/, '');
+      if (source.startsWith('{')) {
+        const data = this.parseJson(source, 'window.__NUXT__');
+        if (data) {
+          return { framework: 'Nuxt', $script: $nuxt2, data, rootSegments: [] };
+        }
+      } else {
+        console.log('⚠️  window.__NUXT__ is a script, not JSON; it cannot be read without a browser');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse JSON, warning instead of throwing on invalid payloads
+   */
+  parseJson(source, name) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      console.log(`⚠️  Could not parse ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Decode a devalue payload (as used by Nuxt 3) into plain data
+   */
+  decodeDevalue(encoded) {
+    const cache = new Map();
+
+    const resolve = index => {
+      if (index < 0) {
+        return DEVALUE_CONSTANTS[index];
+      }
+      if (cache.has(index)) {
+        return cache.get(index);
+      }
+
+      const value = encoded[index];
+      let result = value;
+
+      if (Array.isArray(value)) {
+        if (typeof value[0] === 'string') {
+          // Typed values: ["Reactive", index], ["Date", "..."], ["Set", ...]
+          const [type, ...args] = value;
+          if (['Reactive', 'ShallowReactive', 'Ref', 'ShallowRef', 'EmptyRef', 'EmptyShallowRef', 'NuxtError', 'Island'].includes(type)) {
+            result = args.length > 0 && typeof args[0] === 'number' ? resolve(args[0]) : undefined;
+          } else if (type === 'Set' || type === 'Map') {
+            result = args.map(resolve);
+          } else {
+            result = args[0];
+          }
+          cache.set(index, result);
+        } else {
+          result = [];
+          cache.set(index, result);
+          value.forEach(item => result.push(resolve(item)));
+        }
+      } else if (value && typeof value === 'object') {
+        result = {};
+        cache.set(index, result);
+        Object.keys(value).forEach(key => {
+          result[key] = resolve(value[key]);
+        });
+      } else {
+        cache.set(index, result);
+      }
+
+      return result;
+    };
+
+    return resolve(0);
+  }
+}
+
+module.exports = HydrationExtractor;
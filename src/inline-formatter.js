@@ -0,0 +1,408 @@
+/**
+ * Inline formatting conversion
+ * Converts inline HTML (strong, em, links, code) to markdown and back
+ */
+
+const INLINE_TAGS = {
+  strong: 'strong',
+  b: 'strong',
+  em: 'em',
+  i: 'em',
+  a: 'link',
+  code: 'code'
+};
+
+class InlineFormatter {
+  /**
+   * Convert the inline children of an element to markdown
+   */
+  htmlToMarkdown($element, $) {
+    const markdown = this.nodesToMarkdown($element.contents().toArray(), $);
+
+    return this.escapeBlockSyntax(markdown
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .trim())
+      .replace(/\n/g, '  \n');
+  }
+
+  /**
+   * Convert a list of DOM nodes to markdown
+   */
+  nodesToMarkdown(nodes, $) {
+    return nodes.map(node => this.nodeToMarkdown(node, $)).join('');
+  }
+
+  /**
+   * Convert a single DOM node to markdown
+   */
+  nodeToMarkdown(node, $) {
+    if (node.type === 'text') {
+      return this.escapeMarkdown(node.data.replace(/\s+/g, ' '));
+    }
+
+    if (node.type !== 'tag') {
+      return '';
+    }
+
+    const $node = $(node);
+    const kind = INLINE_TAGS[node.name];
+
+    if (node.name === 'br') {
+      return '\n';
+    }
+
+    if (kind === 'code') {
+      const code = $node.text();
+      const fence = code.includes('`') ? '`` ' : '`';
+      return `${fence}${code}${fence.split('').reverse().join('')}`;
+    }
+
+    const inner = this.nodesToMarkdown($node.contents().toArray(), $);
+    const trimmed = inner.trim();
+
+    if (!trimmed) {
+      return inner;
+    }
+
+    // Keep surrounding whitespace outside of the markers so emphasis stays valid
+    const leading = inner.match(/^\s*/)[0];
+    const trailing = inner.match(/\s*$/)[0];
+
+    switch (kind) {
+      case 'strong':
+        return `${leading}**${trimmed}**${trailing}`;
+      case 'em':
+        return `${leading}_${trimmed}_${trailing}`;
+      case 'link': {
+        const href = $node.attr('href');
+        if (!href) {
+          return inner;
+        }
+        const title = $node.attr('title');
+        const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+        return `${leading}[${trimmed}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20')}${titlePart})${trailing}`;
+      }
+      default:
+        return inner;
+    }
+  }
+
+  /**
+   * Escape line starts that CommonMark reads as a block of their own (headings, lists,
+   * quotes, setext underlines) and closing heading marks, so text reads back as text
+   */
+  escapeBlockSyntax(markdown) {
+    return markdown
+      .split('\n')
+      .map(line => line
+        .replace(/^(?=#{1,6}(?:\s|$)|[-+](?:\s|$)|[=-]+$|>)/, '\\')
+        .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2'))
+      .join('\n')
+      .replace(/(\s)(#+)$/, '$1\\$2');
+  }
+
+  /**
+   * Escape characters that would otherwise be read as inline markdown
+   */
+  escapeMarkdown(text) {
+    return text
+      .replace(/([\\`*[\]])/g, '\\$1')
+      .replace(/(^|\W)_|_(?=\W|$)/g, (match, before) => before !== undefined ? `${before}\\_` : '\\_');
+  }
+
+  /**
+   * Convert inline markdown to HTML, reusing the tags and attributes
+   * of the original element's inline children where possible
+   */
+  markdownToHtml(markdown, $original = null, $ = null) {
+    const originals = this.collectOriginals($original, $);
+    const nodes = this.parseInline(markdown.trim());
+    return this.renderNodes(nodes, originals);
+  }
+
+  /**
+   * Collect the original inline elements of an element, grouped by kind
+   */
+  collectOriginals($original, $) {
+    const originals = { strong: [], em: [], link: [], code: [] };
+
+    if (!$original || !$) {
+      return originals;
+    }
+
+    $original.find(Object.keys(INLINE_TAGS).join(', ')).each((i, el) => {
+      const kind = INLINE_TAGS[el.name];
+      originals[kind].push({ name: el.name, attribs: { ...el.attribs } });
+    });
+
+    return originals;
+  }
+
+  /**
+   * Parse inline markdown into a small node tree
+   */
+  parseInline(text) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+      }
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+
+      // Backslash escapes
+      if (char === '\\' && i + 1 < text.length && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+
+      // Hard line breaks
+      if (char === '\n') {
+        const hardBreak = / {2,}$/.test(buffer) || buffer.endsWith('\\');
+        buffer = buffer.replace(/ {2,}$/, '').replace(/\\$/, '');
+        flush();
+        nodes.push(hardBreak ? { type: 'break' } : { type: 'text', value: ' ' });
+        i++;
+        continue;
+      }
+
+      // Code spans
+      if (char === '`') {
+        const fence = text.slice(i).match(/^`+/)[0];
+        const end = text.indexOf(fence, i + fence.length);
+        if (end !== -1) {
+          flush();
+          let code = text.slice(i + fence.length, end);
+          if (/^ .* $/.test(code)) {
+            code = code.slice(1, -1);
+          }
+          nodes.push({ type: 'code', value: code });
+          i = end + fence.length;
+          continue;
+        }
+      }
+
+      // Links
+      if (char === '[') {
+        const link = this.matchLink(text, i);
+        if (link) {
+          flush();
+          nodes.push({
+            type: 'link',
+            href: link.href,
+            title: link.title,
+            children: this.parseInline(link.label)
+          });
+          i = link.end;
+          continue;
+        }
+      }
+
+      // Strong emphasis
+      if ((char === '*' || char === '_') && text[i + 1] === char) {
+        const marker = char + char;
+        const end = this.findClosing(text, marker, i + 2);
+        if (end !== -1) {
+          flush();
+          nodes.push({ type: 'strong', children: this.parseInline(text.slice(i + 2, end)) });
+          i = end + 2;
+          continue;
+        }
+      }
+
+      // Emphasis
+      if ((char === '*' || char === '_') && this.canOpen(text, i)) {
+        const end = this.findClosing(text, char, i + 1);
+        if (end !== -1) {
+          flush();
+          nodes.push({ type: 'em', children: this.parseInline(text.slice(i + 1, end)) });
+          i = end + 1;
+          continue;
+        }
+      }
+
+      buffer += char;
+      i++;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  /**
+   * Check whether an emphasis marker at position can open a span
+   */
+  canOpen(text, index) {
+    const next = text[index + 1];
+    if (!next || /\s/.test(next)) {
+      return false;
+    }
+    // Underscores inside words are literal (snake_case)
+    if (text[index] === '_' && index > 0 && /\w/.test(text[index - 1])) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find the closing emphasis marker, skipping escapes and code spans
+   */
+  findClosing(text, marker, from) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+        continue;
+      }
+      if (text[i] === '`') {
+        const fence = text.slice(i).match(/^`+/)[0];
+        const end = text.indexOf(fence, i + fence.length);
+        if (end !== -1) {
+          i = end + fence.length - 1;
+          continue;
+        }
+      }
+      if (text.startsWith(marker, i) && i > from && !/\s/.test(text[i - 1])) {
+        // A single marker must not be the start of a double marker
+        if (marker.length === 1 && text[i + 1] === marker) {
+          i++;
+          continue;
+        }
+        // Underscores inside words are literal (snake_case)
+        if (marker[0] === '_' && /\w/.test(text[i + marker.length] || '')) {
+          continue;
+        }
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Match a markdown link starting at position
+   */
+  matchLink(text, start) {
+    let depth = 0;
+    let labelEnd = -1;
+
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+        continue;
+      }
+      if (text[i] === '[') depth++;
+      if (text[i] === ']') {
+        depth--;
+        if (depth === 0) {
+          labelEnd = i;
+          break;
+        }
+      }
+    }
+
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') {
+      return null;
+    }
+
+    const close = text.indexOf(')', labelEnd + 2);
+    if (close === -1) {
+      return null;
+    }
+
+    const target = text.slice(labelEnd + 2, close).trim();
+    const match = target.match(/^(\S*)(?:\s+"((?:[^"\\]|\\.)*)")?$/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      label: text.slice(start + 1, labelEnd),
+      href: match[1].replace(/%28/g, '(').replace(/%29/g, ')').replace(/%20/g, ' '),
+      title: match[2] ? match[2].replace(/\\"/g, '"') : null,
+      end: close + 1
+    };
+  }
+
+  /**
+   * Render parsed inline nodes to HTML
+   */
+  renderNodes(nodes, originals) {
+    return nodes.map(node => this.renderNode(node, originals)).join('');
+  }
+
+  /**
+   * Render a single inline node to HTML
+   */
+  renderNode(node, originals) {
+    switch (node.type) {
+      case 'text':
+        return this.escapeHtml(node.value);
+      case 'break':
+        return '<br>';
+      case 'code': {
+        const original = originals.code.shift();
+        return this.renderTag('code', original, {}, this.escapeHtml(node.value));
+      }
+      case 'strong':
+      case 'em': {
+        const original = originals[node.type].shift();
+        return this.renderTag(node.type, original, {}, this.renderNodes(node.children, originals));
+      }
+      case 'link': {
+        // Prefer the original anchor with the same href, then the next unused one
+        let index = originals.link.findIndex(link => link.attribs.href === node.href);
+        if (index === -1) index = 0;
+        const original = originals.link.splice(index, 1)[0];
+        const attribs = { href: node.href };
+        if (node.title) {
+          attribs.title = node.title;
+        } else if (original && original.attribs.title) {
+          attribs.title = undefined;
+        }
+        return this.renderTag('a', original, attribs, this.renderNodes(node.children, originals));
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Render an HTML tag, merging original attributes with overrides
+   */
+  renderTag(defaultName, original, overrides, inner) {
+    const name = original ? original.name : defaultName;
+    const attribs = { ...(original ? original.attribs : {}), ...overrides };
+
+    const attrString = Object.entries(attribs)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => ` ${key}="${this.escapeHtml(value, true)}"`)
+      .join('');
+
+    return `<${name}${attrString}>${inner}</${name}>`;
+  }
+
+  /**
+   * Escape text for HTML output
+   */
+  escapeHtml(text, attribute = false) {
+    let escaped = String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    if (attribute) {
+      escaped = escaped.replace(/"/g, '&quot;');
+    }
+
+    return escaped;
+  }
+}
+
+module.exports = InlineFormatter;
@@ -0,0 +1,245 @@
+/**
+ * JSON content utilities
+ * Finds human-readable strings in JSON data and addresses them with JSON paths
+ */
+
+// Keys whose string values are identifiers, links or styling rather than copy
+const NON_TEXT_KEYS = [
+  'id', '_id', 'uuid', 'key', 'slug', 'href', 'url', 'src', 'srcset', 'path', 'as', 'asPath',
+  'route', 'pathname', 'type', '@type', '@context', '@id', '__typename', 'typename',
+  'className', 'class', 'style', 'icon', 'image', 'logo', 'locale', 'lang', 'language',
+  'variant', 'color', 'theme', 'layout', 'component', 'template', 'status', 'format',
+  'mimeType', 'contentType', 'date', 'createdAt', 'updatedAt', 'publishedAt', 'buildId',
+  'hash', 'sha', 'token', 'email', 'telephone', 'phone', 'currency', 'priceCurrency'
+];
+
+class JsonContent {
+  /**
+   * Collect human-readable string fields from JSON data
+   * Returns [{ path, segments, value }] in document order
+   */
+  collectStrings(data, rootSegments = []) {
+    const strings = [];
+
+    const walk = (value, segments) => {
+      if (typeof value === 'string') {
+        const key = segments[segments.length - 1];
+        if (this.isHumanText(key, value)) {
+          strings.push({ path: this.formatPath(segments), segments, value });
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, [...segments, index]));
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => walk(value[key], [...segments, key]));
+      }
+    };
+
+    walk(this.getAtPath(data, rootSegments), rootSegments);
+    return strings;
+  }
+
+  /**
+   * Decide whether a string field holds copy a client would edit
+   */
+  isHumanText(key, value) {
+    const text = value.trim();
+
+    if (typeof key === 'string' && NON_TEXT_KEYS.some(name => name.toLowerCase() === key.toLowerCase())) {
+      return false;
+    }
+    if (text.length < 2 || !/\p{L}/u.test(text)) {
+      return false;
+    }
+    // URLs, paths and email addresses
+    if (/^(https?:|mailto:|tel:|data:|\/|#|\.\/)/i.test(text) || /^[^\s@]+@[^\s@]+$/.test(text)) {
+      return false;
+    }
+    // Dates, hashes, identifiers and css-like tokens without spaces
+    if (/^\d{4}-\d{2}-\d{2}/.test(text) || /^[0-9a-f-]{16,}$/i.test(text)) {
+      return false;
+    }
+    if (!/\s/.test(text) && /[_./:=]|[a-z][A-Z]|\d/.test(text)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Format path segments as a JSON path: $.props.items[0]['og:title']
+   */
+  formatPath(segments) {
+    return '$' + segments.map(segment => {
+      if (typeof segment === 'number') {
+        return `[${segment}]`;
+      }
+      if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+        return `.${segment}`;
+      }
+      return `['${segment.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+    }).join('');
+  }
+
+  /**
+   * Parse a JSON path produced by formatPath back into segments
+   */
+  parsePath(path) {
+    const segments = [];
+    const pattern = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+    let position = 1;
+    let match;
+
+    if (!path.startsWith('$')) {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+
+    pattern.lastIndex = 1;
+    while ((match = pattern.exec(path)) !== null) {
+      if (match.index !== position) {
+        throw new Error(`Invalid JSON path: ${path}`);
+      }
+      if (match[1] !== undefined) {
+        segments.push(match[1]);
+      } else if (match[2] !== undefined) {
+        segments.push(parseInt(match[2], 10));
+      } else {
+        segments.push(match[3].replace(/\\(.)/g, '$1'));
+      }
+      position = pattern.lastIndex;
+    }
+
+    if (position !== path.length) {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Read the value at the given path segments
+   */
+  getAtPath(data, segments) {
+    return segments.reduce((value, segment) => (value == null ? undefined : value[segment]), data);
+  }
+
+  /**
+   * Replace the string at the given path inside JSON source text.
+   * Only that value's token changes, so formatting and key order are kept.
+   */
+  replaceString(source, segments, value) {
+    const location = this.locateValue(source, segments);
+
+    if (!location || source[location.start] !== '"') {
+      throw new Error(`No string at JSON path: ${this.formatPath(segments)}`);
+    }
+
+    // Keep "</script>" inside the value from closing the script element
+    const token = JSON.stringify(value).replace(/<\/(script)/gi, '<\\/$1');
+    return source.slice(0, location.start) + token + source.slice(location.end);
+  }
+
+  /**
+   * Find the start and end offsets of the value at the given path in valid JSON source text
+   */
+  locateValue(source, segments) {
+    let position = 0;
+
+    const skipWhitespace = () => {
+      while (position < source.length && /\s/.test(source[position])) position++;
+    };
+
+    const skipString = () => {
+      const start = position++;
+      while (position < source.length && source[position] !== '"') {
+        position += source[position] === '\\' ? 2 : 1;
+      }
+      position++;
+      return JSON.parse(source.slice(start, position));
+    };
+
+    const skipValue = () => {
+      skipWhitespace();
+      const char = source[position];
+
+      if (char === '"') {
+        skipString();
+        return;
+      }
+
+      if (char === '{' || char === '[') {
+        const close = char === '{' ? '}' : ']';
+        position++;
+        skipWhitespace();
+        while (position < source.length && source[position] !== close) {
+          if (char === '{') {
+            skipString();
+            skipWhitespace();
+            position++; // colon
+          }
+          skipValue();
+          skipWhitespace();
+          if (source[position] === ',') {
+            position++;
+            skipWhitespace();
+          }
+        }
+        position++;
+        return;
+      }
+
+      while (position < source.length && !/[\s,\]}]/.test(source[position])) position++;
+    };
+
+    const findValue = depth => {
+      skipWhitespace();
+
+      if (depth === segments.length) {
+        const start = position;
+        skipValue();
+        return { start, end: position };
+      }
+
+      const char = source[position];
+      const segment = segments[depth];
+
+      if (char !== '{' && char !== '[') {
+        return null;
+      }
+
+      const close = char === '{' ? '}' : ']';
+      let index = 0;
+      position++;
+      skipWhitespace();
+
+      while (position < source.length && source[position] !== close) {
+        let matches;
+        if (char === '{') {
+          const key = skipString();
+          skipWhitespace();
+          position++; // colon
+          matches = key === segment;
+        } else {
+          matches = index === segment;
+        }
+
+        if (matches) {
+          return findValue(depth + 1);
+        }
+
+        skipValue();
+        skipWhitespace();
+        if (source[position] === ',') {
+          position++;
+          skipWhitespace();
+        }
+        index++;
+      }
+
+      return null;
+    };
+
+    return findValue(0);
+  }
+}
+
+module.exports = JsonContent;
@@ -63,7 +63,8 @@ class LinkParser {
     const links = [];
     const seenUrls = new Set();
     
-    $('a[href]').each((i, element) => {
+    // Translations declared with hreflang are followed like links
+    $('a[href], link[rel~="alternate"][hreflang][href]').each((i, element) => {
       const href = $(element).attr('href');
       if (!href) return;
       
@@ -2,6 +2,8 @@ const fs = require('fs-extra');
 const path = require('path');
 const { URL } = require('url');
 const ContentUtils = require('./utils');
+const SharedContent = require('./shared-content');
+const ContentMerge = require('./content-merge');
 
 /**
  * Local File and Directory Processor
@@ -15,9 +17,13 @@ class LocalProcessor {
       outputDir: config.outputDir || './content',
       filePatterns: config.filePatterns || ['**/*.html', '**/*.htm'],
       excludePatterns: config.excludePatterns || ['node_modules/**', 'dist/**', 'build/**'],
+      extractShared: true,
+      sharedMinPages: 3,
+      outputFormat: 'markdown',
+      mergeExisting: false,
       ...config
     };
-    this.contentUtils = new ContentUtils();
+    this.contentUtils = new ContentUtils(this.config);
   }
 
   /**
@@ -30,14 +36,19 @@ class LocalProcessor {
     console.log('📁 Starting local file processing...');
     console.log(`📂 Input path: ${input}`);
     console.log(`📁 Output directory: ${output}`);
+    this.contentMerge = new ContentMerge(this.config, output);
 
     try {
       const stats = await fs.stat(input);
       
       if (stats.isFile()) {
-        return await this.processSingleFile(input, output);
+        const result = await this.processSingleFile(input, output);
+        this.contentMerge.reportConflicts();
+        return result;
       } else if (stats.isDirectory()) {
-        return await this.processDirectory(input, output);
+        const result = await this.processDirectory(input, output);
+        this.contentMerge.reportConflicts();
+        return result;
       } else {
         throw new Error(`Invalid input: ${input} is not a file or directory`);
       }
@@ -62,7 +73,7 @@ class LocalProcessor {
       
       // Extract content using the content parser
       const title = this.contentUtils.extractTitle(htmlContent);
-      const content = this.contentUtils.parseContent(htmlContent, title);
+      const { content, metadata, structuredData, contentRoot, html } = this.contentUtils.parseDocument(htmlContent);
       
       if (content.length === 0) {
         console.log('⚠️  No content found in file');
@@ -73,6 +84,12 @@ class LocalProcessor {
         };
       }
 
+      // Write stable content ids back into the source file
+      if (this.config.stampContentIds && html && html !== htmlContent) {
+        await fs.writeFile(filePath, html);
+        console.log(`🔖 Stamped content ids into: ${filePath}`);
+      }
+
       // Generate output filename
       const fileName = this.generateFileName(filePath);
       const outputPath = path.join(outputDir, fileName);
@@ -81,8 +98,12 @@ class LocalProcessor {
       await fs.ensureDir(path.dirname(outputPath));
       
       // Convert to markdown and save
-      const markdown = this.contentUtils.convertToMarkdown(content, filePath);
-      await fs.writeFile(outputPath, markdown);
+      const markdown = this.contentUtils.convertContent(content, filePath, 'Smart', {
+        metadata,
+        structuredData,
+        sourceFile: this.getSourceFile(filePath)
+      });
+      await this.contentMerge.writeContentFile(fileName, markdown);
       
       // Create README
       const readme = this.contentUtils.createReadme([{
@@ -93,10 +114,14 @@ class LocalProcessor {
       await fs.writeFile(path.join(outputDir, 'README.md'), readme);
 
       console.log(`✅ File processed: ${fileName} (${content.length} pieces)`);
+      console.log(`📍 Content root: ${this.contentUtils.describeContentRoot(contentRoot)}`);
       
       return {
         success: true,
         content: content,
+        metadata: metadata,
+        structuredData: structuredData,
+        contentRoot: contentRoot,
         fileName: fileName,
         outputPath: outputPath
       };
@@ -133,6 +158,7 @@ class LocalProcessor {
 
       const processedFiles = [];
       const allContent = [];
+      const pageResults = [];
 
       // Process each HTML file
       for (const filePath of htmlFiles) {
@@ -147,9 +173,15 @@ class LocalProcessor {
             fileName: result.fileName
           });
           allContent.push(...result.content);
+          pageResults.push({ ...result, filePath, fileName: result.fileName.split(path.sep).join('/') });
         }
       }
 
+      // Move blocks repeated across pages into a shared file
+      if (this.config.extractShared) {
+        await this.writeSharedContent(pageResults, outputDir);
+      }
+
       // Create overview README
       if (processedFiles.length > 0) {
         const readme = this.contentUtils.createReadme(processedFiles, dirPath);
@@ -177,6 +209,37 @@ class LocalProcessor {
     }
   }
 
+  /**
+   * Write blocks shared by several pages to _shared.md and rewrite those pages without them
+   */
+  async writeSharedContent(pageResults, outputDir) {
+    const sharedContent = new SharedContent(this.contentUtils, this.config);
+    const { shared, pages } = sharedContent.findSharedBlocks(pageResults);
+
+    if (shared.length === 0) {
+      return null;
+    }
+
+    const sharedFile = sharedContent.getSharedFileName();
+    await this.contentMerge.writeContentFile(sharedFile, sharedContent.convertContent(shared));
+
+    for (const page of pages) {
+      const original = pageResults.find(result => result.fileName === page.fileName);
+      if (page.content.length === original.content.length) continue;
+
+      const markdown = this.contentUtils.convertContent(page.content, page.filePath, 'Smart', {
+        metadata: page.metadata,
+        structuredData: page.structuredData,
+        sourceFile: this.getSourceFile(page.filePath),
+        sharedFile: path.posix.relative(path.posix.dirname(page.fileName), sharedFile)
+      });
+      await this.contentMerge.writeContentFile(page.fileName, markdown);
+    }
+
+    console.log(`\n🔗 Shared blocks: ${sharedFile} (${shared.length} blocks)`);
+    return sharedFile;
+  }
+
   /**
    * Find all HTML files in a directory (recursive)
    */
@@ -230,14 +293,26 @@ class LocalProcessor {
     });
   }
 
+  /**
+   * Path of an HTML file relative to the input, as recorded in front matter
+   */
+  getSourceFile(filePath) {
+    if (this.config.inputPath === filePath) {
+      return path.basename(filePath);
+    }
+    return path.relative(this.config.inputPath, filePath).split(path.sep).join('/');
+  }
+
   /**
    * Generate filename from file path
    */
   generateFileName(filePath) {
+    const extension = this.contentUtils.getOutputExtension();
+    
     // If inputPath is a file, use the file's name directly
     if (this.config.inputPath === filePath) {
       const nameWithoutExt = path.basename(filePath, path.extname(filePath));
-      return `${nameWithoutExt}.md`;
+      return `${nameWithoutExt}${extension}`;
     }
     
     // Otherwise, calculate relative path
@@ -248,17 +323,17 @@ class LocalProcessor {
     // Handle index files
     if (nameWithoutExt.toLowerCase() === 'index') {
       if (dir === '.') {
-        return 'index.md';
+        return `index${extension}`;
       } else {
-        return path.join(dir, 'index.md');
+        return path.join(dir, `index${extension}`);
       }
     }
     
     // Regular files
     if (dir === '.') {
-      return `${nameWithoutExt}.md`;
+      return `${nameWithoutExt}${extension}`;
     } else {
-      return path.join(dir, `${nameWithoutExt}.md`);
+      return path.join(dir, `${nameWithoutExt}${extension}`);
     }
   }
 
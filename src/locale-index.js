@@ -0,0 +1,195 @@
+const { URL } = require('url');
+
+/**
+ * Multi-locale support for crawled sites
+ * Assigns each page a locale from html[lang] and hreflang links, and pairs
+ * pages with their translations
+ */
+
+class LocaleIndex {
+  constructor(config = {}) {
+    this.config = {
+      defaultLocale: null,
+      ...config
+    };
+  }
+
+  /**
+   * Normalize a language tag: "EN_us" → "en-US"
+   */
+  normalizeLocale(tag) {
+    if (!tag) {
+      return null;
+    }
+
+    const parts = tag.trim().replace(/_/g, '-').split('-').filter(Boolean);
+    if (parts.length === 0 || parts[0].toLowerCase() === 'x') {
+      return null;
+    }
+
+    return parts.map((part, index) => {
+      if (index === 0) return part.toLowerCase();
+      if (part.length === 2) return part.toUpperCase();
+      if (part.length === 4) return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+      return part.toLowerCase();
+    }).join('-');
+  }
+
+  /**
+   * Compare URLs ignoring hash and a trailing slash
+   */
+  normalizeUrl(url, baseUrl) {
+    try {
+      const urlObj = new URL(url, baseUrl);
+      urlObj.hash = '';
+      return urlObj.href.replace(/\/$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Assign a locale to every extracted page.
+   * Entries are { page, result }; each gets locale, localRoute and alternates.
+   * Returns the sorted list of locales found.
+   */
+  assignLocales(entries) {
+    const byUrl = new Map(entries.map(entry => [this.normalizeUrl(entry.page.url), entry]));
+
+    // Resolve hreflang alternates against the page URL
+    entries.forEach(entry => {
+      const locale = entry.result.locale || {};
+      entry.alternates = (locale.alternates || [])
+        .map(alternate => ({
+          locale: this.normalizeLocale(alternate.hreflang),
+          url: this.normalizeUrl(alternate.href, entry.page.url)
+        }))
+        .filter(alternate => alternate.locale && alternate.url);
+    });
+
+    // html[lang] first, then the hreflang entry that points at the page itself
+    entries.forEach(entry => {
+      const url = this.normalizeUrl(entry.page.url);
+      const self = entry.alternates.find(alternate => alternate.url === url);
+      entry.locale = this.normalizeLocale((entry.result.locale || {}).lang) || (self ? self.locale : null);
+    });
+
+    // Alternates pointing at a page tell us that page's locale too
+    entries.forEach(entry => {
+      entry.alternates.forEach(alternate => {
+        const target = byUrl.get(alternate.url);
+        if (target && !target.locale) {
+          target.locale = alternate.locale;
+        }
+      });
+    });
+
+    // Pages without any signal get the site's default locale (that of the first page)
+    this.defaultLocale = this.normalizeLocale(this.config.defaultLocale) ||
+      (entries.find(entry => entry.locale) || {}).locale || 'default';
+
+    entries.forEach(entry => {
+      if (!entry.locale) {
+        entry.locale = this.findRouteLocale(entry.page.route, entries) || this.defaultLocale;
+      }
+      entry.localRoute = this.stripLocale(entry.page.route, entry.locale);
+    });
+
+    return [...new Set(entries.map(entry => entry.locale))].sort();
+  }
+
+  /**
+   * Find a known locale used as the first segment of a route (/fr/about → fr)
+   */
+  findRouteLocale(route, entries) {
+    const segment = (route.split('/')[1] || '').toLowerCase();
+    const match = entries.find(entry => entry.locale && this.matchesLocaleSegment(segment, entry.locale));
+    return match ? match.locale : null;
+  }
+
+  /**
+   * Check whether a path segment names a locale: "fr", "fr-ca" or "fr_CA" for fr-CA
+   */
+  matchesLocaleSegment(segment, locale) {
+    const normalized = segment.replace(/_/g, '-').toLowerCase();
+    return normalized === locale.toLowerCase() || normalized === locale.split('-')[0].toLowerCase();
+  }
+
+  /**
+   * Remove a leading locale segment from a route: /fr/about → /about
+   */
+  stripLocale(route, locale) {
+    const segments = route.split('/');
+
+    if (segments[1] && this.matchesLocaleSegment(segments[1], locale)) {
+      return '/' + segments.slice(2).join('/');
+    }
+
+    return route;
+  }
+
+  /**
+   * Pair pages with their translations.
+   * Pages are grouped through hreflang links, and otherwise by matching route without locale prefix.
+   * Call assignLocales first.
+   * Returns { locales, pages: [{ route, translations: { locale: fileName }, missing: [locale] }] }
+   */
+  buildIndex(entries, locales) {
+    const parent = entries.map((entry, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    const indexByUrl = new Map(entries.map((entry, index) => [this.normalizeUrl(entry.page.url), index]));
+    const indexByRoute = new Map();
+
+    entries.forEach((entry, index) => {
+      entry.alternates.forEach(alternate => {
+        if (indexByUrl.has(alternate.url)) {
+          union(index, indexByUrl.get(alternate.url));
+        }
+      });
+
+      // Only pages without hreflang links are paired by route
+      if (entry.alternates.length === 0) {
+        const key = entry.localRoute.replace(/\/$/, '') || '/';
+        if (indexByRoute.has(key)) {
+          union(index, indexByRoute.get(key));
+        } else {
+          indexByRoute.set(key, index);
+        }
+      }
+    });
+
+    const groups = new Map();
+    entries.forEach((entry, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(entry);
+    });
+
+    const pages = Array.from(groups.values()).map(group => {
+      const translations = {};
+      group.forEach(entry => {
+        if (!translations[entry.locale]) {
+          translations[entry.locale] = entry.fileName;
+        }
+      });
+
+      const primary = group.find(entry => entry.locale === this.defaultLocale) || group[0];
+      return {
+        route: primary.localRoute,
+        translations,
+        missing: locales.filter(locale => !translations[locale])
+      };
+    });
+
+    pages.sort((a, b) => a.route.localeCompare(b.route));
+    return { locales, pages };
+  }
+}
+
+module.exports = LocaleIndex;
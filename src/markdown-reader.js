@@ -0,0 +1,146 @@
+const MarkdownIt = require('markdown-it');
+
+/**
+ * CommonMark reading of content files
+ * Splits markdown into its top-level blocks (with GitHub-flavored tables) and reads
+ * their structure, so edited blocks are never guessed from their first character
+ */
+
+class MarkdownReader {
+  constructor() {
+    this.markdownIt = new MarkdownIt('commonmark', { html: true }).enable('table');
+  }
+
+  /**
+   * Parse markdown into its top-level blocks: { type, startLine, endLine, tokens, source }
+   * with 0-based lines, endLine exclusive
+   */
+  parse(markdown) {
+    const lines = markdown.split('\n');
+    const tokens = this.markdownIt.parse(markdown, {});
+    const nodes = [];
+    let current = null;
+
+    tokens.forEach(token => {
+      if (!current) {
+        const [startLine, endLine] = token.map || [0, 0];
+        current = {
+          type: token.type.replace(/_open$/, ''),
+          tag: token.tag,
+          startLine,
+          endLine,
+          tokens: []
+        };
+      }
+
+      current.tokens.push(token);
+
+      // A block ends with its closing token, or is a single token
+      if (token.level === 0 && token.nesting !== 1) {
+        current.source = lines.slice(current.startLine, current.endLine).join('\n');
+        nodes.push(current);
+        current = null;
+      }
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Check whether a block is a single HTML comment
+   */
+  isComment(node) {
+    return node.type === 'html_block' && /^<!--[\s\S]*-->$/.test(node.tokens[0].content.trim());
+  }
+
+  /**
+   * Inline markdown of a heading or paragraph, without the heading marks
+   */
+  getInlineContent(node) {
+    const inline = node.tokens.find(token => token.type === 'inline');
+    return inline ? inline.content : '';
+  }
+
+  /**
+   * Inline markdown of each paragraph or heading inside a block (such as a blockquote)
+   */
+  getParagraphs(node) {
+    return node.tokens.filter(token => token.type === 'inline').map(token => token.content);
+  }
+
+  /**
+   * Text of a fenced or indented code block
+   */
+  getCodeText(node) {
+    return node.tokens[0].content.replace(/\n$/, '');
+  }
+
+  /**
+   * Check whether a paragraph starts with an image
+   */
+  startsWithImage(node) {
+    const inline = node.tokens.find(token => token.type === 'inline');
+    return Boolean(inline && inline.children.length > 0 && inline.children[0].type === 'image');
+  }
+
+  /**
+   * Read a list block, including nested lists, into { ordered, start, items: [{ text, children }] }.
+   * The paragraphs of a loose item are joined with line breaks.
+   */
+  parseList(node) {
+    const stack = [];
+    let root = null;
+
+    node.tokens.forEach(token => {
+      const list = stack[stack.length - 1];
+
+      switch (token.type) {
+        case 'bullet_list_open':
+        case 'ordered_list_open': {
+          const ordered = token.type === 'ordered_list_open';
+          const nested = { ordered, start: ordered ? parseInt(token.attrGet('start'), 10) || 1 : 1, items: [] };
+          if (list) {
+            list.items[list.items.length - 1].children.push(nested);
+          } else {
+            root = nested;
+          }
+          stack.push(nested);
+          break;
+        }
+        case 'bullet_list_close':
+        case 'ordered_list_close':
+          stack.pop();
+          break;
+        case 'list_item_open':
+          list.items.push({ text: '', children: [] });
+          break;
+        case 'inline': {
+          const item = list.items[list.items.length - 1];
+          item.text = item.text ? `${item.text}\n${token.content}` : token.content;
+          break;
+        }
+      }
+    });
+
+    return root || { ordered: false, start: 1, items: [] };
+  }
+
+  /**
+   * Read a table block into rows of inline cell markdown, header row first
+   */
+  parseTable(node) {
+    const rows = [];
+
+    node.tokens.forEach(token => {
+      if (token.type === 'tr_open') {
+        rows.push([]);
+      } else if (token.type === 'inline') {
+        rows[rows.length - 1].push(token.content);
+      }
+    });
+
+    return rows;
+  }
+}
+
+module.exports = MarkdownReader;
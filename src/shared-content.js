@@ -0,0 +1,155 @@
+const path = require('path');
+const FrontMatter = require('./front-matter');
+
+/**
+ * Shared boilerplate detection
+ * Finds blocks that repeat across pages (same selector and text) so they can be
+ * edited once in a shared file
+ */
+
+const SHARED_FILE_BASE = '_shared';
+const SHARED_FILE_NAME = `${SHARED_FILE_BASE}.md`;
+
+class SharedContent {
+  constructor(utils, config = {}) {
+    this.utils = utils;
+    this.config = {
+      sharedMinPages: 3,
+      ...config
+    };
+  }
+
+  /**
+   * Find blocks that appear with identical selector and text on at least sharedMinPages pages.
+   * Pages are [{ fileName, content }]. Returns { shared: [{ item, fileNames }], pages: [{ ...page, content }] }
+   * where each page's content no longer holds its shared blocks.
+   */
+  findSharedBlocks(pages) {
+    const occurrences = new Map();
+
+    pages.forEach(page => {
+      const seen = new Set();
+      page.content.forEach(item => {
+        const key = this.getBlockKey(item);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+
+        if (!occurrences.has(key)) {
+          occurrences.set(key, { item, fileNames: [] });
+        }
+        occurrences.get(key).fileNames.push(page.fileName);
+      });
+    });
+
+    const minPages = Math.max(2, this.config.sharedMinPages);
+    const shared = Array.from(occurrences.values()).filter(entry => entry.fileNames.length >= minPages);
+    const sharedKeys = new Set(shared.map(entry => this.getBlockKey(entry.item)));
+
+    return {
+      shared,
+      pages: pages.map(page => ({
+        ...page,
+        content: page.content.filter(item => !sharedKeys.has(this.getBlockKey(item)))
+      }))
+    };
+  }
+
+  /**
+   * Identify a block by its selector and rendered markdown (content ids differ per page)
+   */
+  getBlockKey(item) {
+    if (!item.selector) {
+      return null;
+    }
+    return this.utils.formatItem({ ...item, contentId: null });
+  }
+
+  /**
+   * Name of the shared blocks file in the configured output format
+   */
+  getSharedFileName() {
+    return `${SHARED_FILE_BASE}${this.utils.getOutputExtension()}`;
+  }
+
+  /**
+   * Render the shared blocks file in the configured output format.
+   * Page file names are relative to the shared file.
+   */
+  convertContent(shared, sharedDir = '') {
+    switch (this.utils.getOutputFormat()) {
+      case 'json':
+        return this.convertToJson(shared, sharedDir);
+      case 'mdx':
+        return this.addFrontMatter(this.utils.markdownToMdx(this.formatBody(shared, sharedDir)));
+      default:
+        return this.convertToMarkdown(shared, sharedDir);
+    }
+  }
+
+  /**
+   * Render the shared blocks file as markdown
+   */
+  convertToMarkdown(shared, sharedDir = '') {
+    return this.addFrontMatter(this.formatBody(shared, sharedDir));
+  }
+
+  /**
+   * Render the shared blocks, each with the pages it appears on
+   */
+  formatBody(shared, sharedDir) {
+    let markdown = '# Shared Content\n\n';
+    markdown += '<!-- Blocks that appear on several pages. An edit here is applied to every page listed. -->\n\n';
+
+    shared.forEach(entry => {
+      const fileNames = this.getRelativeFileNames(entry, sharedDir);
+      markdown += this.utils.formatItem({ ...entry.item, contentId: null })
+        .replace(/^<!-- Selector: .+ -->\n/, selectorLine => `${selectorLine}<!-- Shared by: ${fileNames.join(', ')} -->\n`);
+    });
+
+    return markdown;
+  }
+
+  /**
+   * Render the shared blocks file as JSON, with the pages of each block in sharedBy
+   */
+  convertToJson(shared, sharedDir = '') {
+    const blocks = shared.map(entry => ({
+      ...this.utils.createJsonBlock({ ...entry.item, contentId: null }),
+      sharedBy: this.getRelativeFileNames(entry, sharedDir)
+    }));
+
+    const document = {
+      [FrontMatter.VERSION_KEY]: FrontMatter.VERSION,
+      extracted_at: new Date().toISOString(),
+      content_hash: this.utils.frontMatter.hashContent(JSON.stringify({ blocks })),
+      blocks
+    };
+
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+
+  /**
+   * Prepend the front matter of the shared file
+   */
+  addFrontMatter(body) {
+    const frontMatter = this.utils.frontMatter.format({
+      [FrontMatter.VERSION_KEY]: FrontMatter.VERSION,
+      extracted_at: new Date().toISOString(),
+      content_hash: this.utils.frontMatter.hashContent(body)
+    });
+
+    return `${frontMatter}\n${body}`;
+  }
+
+  /**
+   * Page file names of a shared block, relative to the shared file's directory
+   */
+  getRelativeFileNames(entry, sharedDir) {
+    return entry.fileNames.map(fileName => path.posix.relative(sharedDir, fileName));
+  }
+}
+
+SharedContent.SHARED_FILE_BASE = SHARED_FILE_BASE;
+SharedContent.SHARED_FILE_NAME = SHARED_FILE_NAME;
+
+module.exports = SharedContent;
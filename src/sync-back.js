@@ -1,6 +1,23 @@
 const fs = require('fs-extra');
 const path = require('path');
 const cheerio = require('cheerio');
+const { createTwoFilesPatch } = require('diff');
+const InlineFormatter = require('./inline-formatter');
+const ContentUtils = require('./utils');
+const JsonContent = require('./json-content');
+const SharedContent = require('./shared-content');
+const FrontMatter = require('./front-matter');
+const MarkdownReader = require('./markdown-reader');
+const BackupManager = require('./backup-manager');
+
+// Lines left by a re-extraction merge that was not resolved
+const CONFLICT_MARKER = /^(?:<{7} |={7}$|>{7} )/m;
+
+// Comments that anchor a block (Selector, or Meta in files written before front matter) or set one of its fields
+const ANCHOR_COMMENT = /^<!-- (Selector|Meta|Content ID|Original hash|Attribute|JSON Path|Shared by): (.+) -->$/;
+
+// Values of the force option: the side that wins a conflict
+const FORCE_SIDES = ['markdown', 'html'];
 
 /**
  * Reverse Sync Module
@@ -14,8 +31,18 @@ class SyncBack {
       htmlDir: config.htmlDir || './',
       backupDir: config.backupDir || './backup',
       dryRun: config.dryRun || false,
+      updateImageSrc: config.updateImageSrc || false,
+      force: config.force || null,
+      reportFile: config.reportFile || null,
+      showDiff: config.showDiff || false,
       ...config
     };
+    this.inlineFormatter = new InlineFormatter();
+    this.contentUtils = new ContentUtils(this.config);
+    this.jsonContent = new JsonContent();
+    this.frontMatter = new FrontMatter();
+    this.markdownReader = new MarkdownReader();
+    this.backupManager = new BackupManager(this.config);
   }
 
   /**
@@ -32,9 +59,7 @@ class SyncBack {
 
     try {
       // Create backup if not dry run
-      if (!this.config.dryRun) {
-        await this.createBackup();
-      }
+      const backupId = this.config.dryRun ? null : await this.createBackup();
 
       // Find all markdown files
       const markdownFiles = await this.findMarkdownFiles(this.config.markdownDir);
@@ -50,12 +75,15 @@ class SyncBack {
         processed: 0,
         updated: 0,
         errors: 0,
-        changes: []
+        changes: [],
+        conflicts: [],
+        files: []
       };
 
       // Process each markdown file
       for (const markdownFile of markdownFiles) {
-        console.log(`\n📄 Processing: ${path.relative(this.config.markdownDir, markdownFile)}`);
+        const file = path.relative(this.config.markdownDir, markdownFile);
+        console.log(`\n📄 Processing: ${file}`);
         
         const result = await this.processMarkdownFile(markdownFile);
         
@@ -65,8 +93,17 @@ class SyncBack {
             results.updated++;
             results.changes.push(...result.changes);
           }
+          results.conflicts.push(...(result.conflicts || []));
+          results.files.push(...result.reports.map(report => ({
+            file,
+            htmlFile: report.htmlFile,
+            error: report.error || null,
+            blocks: report.blocks
+          })));
+          results.errors += result.reports.filter(report => report.error).length;
         } else {
           results.errors++;
+          results.files.push({ file, htmlFile: null, error: result.error, blocks: [] });
           console.error(`❌ Failed to process ${markdownFile}: ${result.error}`);
         }
       }
@@ -85,6 +122,27 @@ class SyncBack {
         });
       }
 
+      if (results.conflicts.length > 0) {
+        console.log(`\n⚠️  Conflicts (changed in both the HTML and the markdown): ${results.conflicts.length}`);
+        results.conflicts.forEach(conflict => {
+          console.log(`   • ${conflict.file}: ${conflict.selector}`);
+          console.log(`       HTML:     "${conflict.htmlText.replace(/\s+/g, ' ').substring(0, 50)}..."`);
+          console.log(`       Markdown: "${conflict.markdownText.replace(/\s+/g, ' ').substring(0, 50)}..."`);
+        });
+        console.log('💡 Re-run with --force markdown to apply the edits, or --force html to keep the HTML');
+      }
+
+      if (backupId) {
+        const changedFiles = results.files
+          .filter(file => file.blocks.some(block => block.status === 'applied'))
+          .map(file => file.htmlFile.split(path.sep).join('/'));
+        await this.backupManager.recordChangedFiles(backupId, changedFiles);
+      }
+
+      if (this.config.reportFile) {
+        await this.writeReport(results);
+      }
+
       return {
         success: true,
         results: results
@@ -100,30 +158,48 @@ class SyncBack {
   }
 
   /**
-   * Create backup of HTML files
+   * Write the JSON sync report: every block of every content file with its status,
+   * old and new text and warnings
+   */
+  async writeReport(results) {
+    const blocks = results.files.flatMap(file => file.blocks);
+    const count = status => blocks.filter(block => block.status === status).length;
+    
+    const report = {
+      generatedAt: new Date().toISOString(),
+      markdownDir: this.config.markdownDir,
+      htmlDir: this.config.htmlDir,
+      dryRun: this.config.dryRun,
+      summary: {
+        files: results.processed,
+        errors: results.errors,
+        applied: count('applied'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+        notFound: count('not-found'),
+        conflicts: count('conflict')
+      },
+      files: results.files
+    };
+    
+    await fs.outputJson(this.config.reportFile, report, { spaces: 2 });
+    console.log(`📄 Report written: ${this.config.reportFile}`);
+  }
+
+  /**
+   * Create backup of HTML files, with a manifest of the directories synced.
+   * Returns the backup's id.
    */
   async createBackup() {
     console.log('💾 Creating backup...');
     
     try {
-      // Create backup directory outside of HTML directory
-      const backupDir = path.resolve(this.config.backupDir);
-      await fs.ensureDir(backupDir);
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(backupDir, `backup-${timestamp}`);
-      
       // Only backup HTML files, not the entire directory
       const htmlFiles = await this.findHtmlFiles(this.config.htmlDir);
+      const backupId = await this.backupManager.createBackup(this.config.htmlDir, this.config.markdownDir, htmlFiles);
       
-      for (const htmlFile of htmlFiles) {
-        const relativePath = path.relative(this.config.htmlDir, htmlFile);
-        const backupFile = path.join(backupPath, relativePath);
-        await fs.ensureDir(path.dirname(backupFile));
-        await fs.copy(htmlFile, backupFile);
-      }
-      
-      console.log(`✅ Backup created: ${backupPath} (${htmlFiles.length} files)`);
+      console.log(`✅ Backup created: ${this.backupManager.getBackupPath(backupId)} (${htmlFiles.length} files)`);
+      return backupId;
       
     } catch (error) {
       console.error('❌ Backup failed:', error.message);
@@ -180,13 +256,16 @@ class SyncBack {
         const stats = await fs.stat(itemPath);
         
         if (stats.isDirectory()) {
+          // Hidden folders hold tool state, such as the copies of the last extraction
+          if (item.startsWith('.')) continue;
+          
           // Recursively find markdown files in subdirectories
           const subFiles = await this.findMarkdownFiles(itemPath);
           markdownFiles.push(...subFiles);
         } else if (stats.isFile()) {
-          // Check if it's a markdown file
+          // Check if it's a content file (markdown, MDX or JSON)
           const ext = path.extname(item).toLowerCase();
-          if (ext === '.md') {
+          if (Object.values(ContentUtils.OUTPUT_FORMATS).includes(ext)) {
             markdownFiles.push(itemPath);
           }
         }
@@ -207,14 +286,19 @@ class SyncBack {
       const markdownContent = await fs.readFile(markdownFile, 'utf-8');
       
       // Parse markdown and extract content with selectors
-      const contentBlocks = this.parseMarkdownContent(markdownContent);
+      const contentBlocks = this.parseContentFile(markdownFile, markdownContent);
       
       if (contentBlocks.length === 0) {
-        return { success: true, changes: [] };
+        return { success: true, changes: [], reports: [] };
+      }
+
+      // Shared blocks apply to every page they were found on
+      if (path.parse(markdownFile).name === SharedContent.SHARED_FILE_BASE) {
+        return await this.processSharedFile(markdownFile, contentBlocks);
       }
 
       // Find corresponding HTML file
-      const htmlFile = this.findCorrespondingHtmlFile(markdownFile);
+      const htmlFile = await this.findSourceHtmlFile(markdownFile, markdownContent);
       
       if (!htmlFile || !await fs.pathExists(htmlFile)) {
         return { 
@@ -237,89 +321,393 @@ class SyncBack {
   }
 
   /**
-   * Parse markdown content and extract content blocks with selectors
+   * Apply the blocks of a shared file to the HTML file of every page listed for each block
    */
-  parseMarkdownContent(markdownContent) {
-    const contentBlocks = [];
-    const lines = markdownContent.split('\n');
-    
-    let currentSelector = null;
-    let currentContent = [];
-    let inCodeBlock = false;
+  async processSharedFile(markdownFile, contentBlocks) {
+    const blocksByFile = new Map();
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Check for selector comment
-      if (line.trim().startsWith('<!-- Selector:')) {
-        // Save previous block if exists
-        if (currentSelector && currentContent.length > 0) {
-          contentBlocks.push({
-            selector: currentSelector,
-            content: currentContent.join('\n').trim(),
-            type: this.detectContentType(currentContent)
-          });
+    contentBlocks.forEach(block => {
+      (block.sharedBy || []).forEach(page => {
+        const htmlFile = this.findCorrespondingHtmlFile(path.join(path.dirname(markdownFile), page));
+        if (!blocksByFile.has(htmlFile)) {
+          blocksByFile.set(htmlFile, []);
         }
-        
-        // Start new block
-        currentSelector = line.match(/<!-- Selector: (.+) -->/)?.[1];
-        currentContent = [];
+        blocksByFile.get(htmlFile).push(block);
+      });
+    });
+    
+    // A page that fails does not stop the others; it gets a report with its error
+    const changes = [];
+    const conflicts = [];
+    const reports = [];
+    for (const [htmlFile, blocks] of blocksByFile) {
+      const relativeFile = path.relative(this.config.htmlDir, htmlFile);
+      
+      if (!this.isInsideHtmlDir(htmlFile)) {
+        console.warn(`⚠️  Ignoring shared page outside the HTML directory: ${relativeFile}`);
         continue;
       }
       
-      // Skip metadata comments
-      if (line.trim().startsWith('<!-- Content extracted from:') ||
-          line.trim().startsWith('<!-- Extracted at:') ||
-          line.trim().startsWith('<!-- Method:')) {
+      if (!await fs.pathExists(htmlFile)) {
+        const message = `HTML file not found for shared blocks: ${htmlFile}`;
+        console.warn(`⚠️  ${message}`);
+        reports.push({
+          htmlFile: relativeFile,
+          blocks: blocks.map(block => ({
+            selector: this.getBlockLabel(block),
+            status: 'not-found',
+            oldText: null,
+            newText: block.content,
+            warnings: [message]
+          }))
+        });
+        continue;
+      }
+      
+      const result = await this.updateHtmlFile(htmlFile, blocks);
+      if (!result.success) {
+        console.error(`❌ Failed to apply shared blocks to ${relativeFile}: ${result.error}`);
+        reports.push({ htmlFile: relativeFile, error: result.error, blocks: [] });
         continue;
       }
+      changes.push(...result.changes);
+      conflicts.push(...result.conflicts);
+      reports.push(...result.reports);
+    }
+    
+    return { success: true, changes, conflicts, reports };
+  }
+
+  /**
+   * Parse a content file in any output format (markdown, MDX or JSON) into content blocks
+   */
+  parseContentFile(file, content) {
+    switch (path.extname(file).toLowerCase()) {
+      case '.json':
+        return this.parseJsonContent(content);
+      case '.mdx':
+        return this.parseMarkdownContent(this.convertMdxToMarkdown(content));
+      default:
+        return this.parseMarkdownContent(content);
+    }
+  }
+
+  /**
+   * Read the front matter fields of a content file (top-level fields in JSON files)
+   */
+  readFileInfo(file, content) {
+    if (path.extname(file).toLowerCase() === '.json') {
+      return this.parseJsonDocument(content);
+    }
+    return this.frontMatter.parse(content).data;
+  }
+
+  /**
+   * Parse a JSON content file. Returns null for other JSON files (such as locales.json).
+   */
+  parseJsonDocument(content) {
+    try {
+      const document = JSON.parse(content);
+      return document && Array.isArray(document.blocks) ? document : null;
+    } catch (error) {
+      throw new Error(`Invalid JSON content file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn the blocks of a JSON content file into content blocks
+   */
+  parseJsonContent(content) {
+    const document = this.parseJsonDocument(content);
+    if (!document) {
+      return [];
+    }
+    
+    const contentBlocks = this.createMetadataBlocks(document.metadata);
+    
+    [...document.blocks, ...(document.structuredData || [])].forEach(entry => {
+      if (!entry || !entry.selector || typeof entry.markdown !== 'string') return;
       
-      // Handle code blocks
+      const block = {
+        selector: entry.selector,
+        contentId: entry.contentId || null,
+        attribute: entry.attribute || null,
+        jsonPath: entry.jsonPath || null,
+        originalHash: entry.originalHash || null,
+        sharedBy: Array.isArray(entry.sharedBy) ? entry.sharedBy : undefined
+      };
+      const content = entry.markdown.trim();
+      contentBlocks.push({ ...block, content, type: this.getBlockType(block, content) });
+    });
+    
+    return contentBlocks;
+  }
+
+  /**
+   * Undo the MDX escaping of markdownToMdx: JSX comments back to HTML comments
+   * and escaped "{", "}" and "<" back to plain characters, outside code
+   */
+  convertMdxToMarkdown(mdx) {
+    let inCodeBlock = false;
+    
+    return mdx.split('\n').map(line => {
       if (line.trim().startsWith('```')) {
         inCodeBlock = !inCodeBlock;
-        if (inCodeBlock) {
-          currentContent.push(line);
-        } else {
-          currentContent.push(line);
-        }
-        continue;
+        return line;
+      }
+      if (inCodeBlock) {
+        return line;
       }
       
-      // Add content to current block
-      if (currentSelector && !line.trim().startsWith('<!--')) {
-        currentContent.push(line);
+      const comment = line.match(/^\{\/\* (.*) \*\/\}$/);
+      if (comment) {
+        return `<!-- ${comment[1].replace(/\*\\\//g, '*/')} -->`;
       }
+      
+      return line.split(/((?<!\\)`[^`]*`)/).map(part => {
+        if (part.startsWith('`')) {
+          return part;
+        }
+        // Escaped backslashes stay as they are, so "\\{" is not unescaped
+        return part.replace(/\\(\\)|\\([{}<])/g, (match, backslash, char) => backslash ? match : char);
+      }).join('');
+    }).join('\n');
+  }
+
+  /**
+   * Content blocks for the page metadata fields of a front matter block
+   */
+  createMetadataBlocks(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      return [];
     }
     
+    return Object.entries(metadata).map(([key, value]) => ({
+      selector: key,
+      meta: key,
+      content: value == null ? '' : String(value).trim(),
+      type: 'meta'
+    }));
+  }
+
+  /**
+   * Type of a parsed block: from its anchor comments, otherwise from its markdown
+   */
+  getBlockType(block, content) {
+    if (block.meta) return 'meta';
+    if (block.jsonPath) return 'json';
+    if (block.attribute) return 'attribute';
+    return this.detectContentType(content);
+  }
+
+  /**
+   * Parse markdown content and extract content blocks with selectors.
+   * Page metadata comes from the front matter, or from Meta comments in files
+   * written before front matter was used.
+   */
+  parseMarkdownContent(markdownContent) {
+    return this.parseMarkdownStructure(markdownContent).blocks;
+  }
+
+  /**
+   * Parse markdown content into { blocks, emptyBlocks, orphans }: the content blocks,
+   * the anchor comments that have no text below them, and blocks of text that belong
+   * to no block (the page title above the first block is not one).
+   * The body is read as CommonMark, so anchor comments inside code blocks are text.
+   */
+  parseMarkdownStructure(markdownContent) {
+    const { data, body, bodyLine } = this.frontMatter.parse(markdownContent);
+    const contentBlocks = this.createMetadataBlocks(data && data.metadata);
+    const emptyBlocks = [];
+    const orphans = [];
+    const lines = body.split('\n');
+    
+    let currentBlock = null;
+    let currentNodes = [];
+    let commentLines = new Set();
+    let hasTitle = false;
+    
+    const saveBlock = () => {
+      if (currentBlock && currentNodes.length === 0) {
+        emptyBlocks.push(currentBlock);
+      } else if (currentBlock) {
+        // Lines from the first to the last markdown block, without comments in between
+        const start = currentNodes[0].startLine;
+        const end = currentNodes[currentNodes.length - 1].endLine;
+        const indexes = [];
+        for (let i = start; i < end; i++) {
+          if (!commentLines.has(i)) indexes.push(i);
+        }
+        const filled = indexes.filter(index => lines[index].trim());
+        const content = indexes.map(index => lines[index]).join('\n').trim();
+        
+        contentBlocks.push({
+          ...currentBlock,
+          content,
+          type: this.getBlockType(currentBlock, content),
+          contentStart: bodyLine + filled[0],
+          contentEnd: bodyLine + filled[filled.length - 1]
+        });
+      }
+    };
+    
+    this.markdownReader.parse(body).forEach(node => {
+      const lineNumber = bodyLine + node.startLine;
+      const isComment = this.markdownReader.isComment(node);
+      const anchor = isComment ? node.tokens[0].content.trim().match(ANCHOR_COMMENT) : null;
+      
+      // Selector or page metadata comment: start a new block
+      if (anchor && (anchor[1] === 'Selector' || anchor[1] === 'Meta')) {
+        saveBlock();
+        currentBlock = anchor[1] === 'Meta'
+          ? { selector: anchor[2], meta: anchor[2], line: lineNumber }
+          : { selector: anchor[2], contentId: null, line: lineNumber };
+        currentNodes = [];
+        commentLines = new Set();
+        return;
+      }
+      
+      // Content ID, Attribute, JSON Path and Shared by comments of the current block
+      if (anchor && currentBlock) {
+        this.applyAnchorField(currentBlock, anchor[1], anchor[2]);
+      }
+      
+      // Other comments (such as the note of the shared file) are not text
+      if (isComment) {
+        for (let i = node.startLine; i < node.endLine; i++) {
+          commentLines.add(i);
+        }
+        return;
+      }
+      
+      if (currentBlock) {
+        currentNodes.push(node);
+      } else if (!hasTitle && node.type === 'heading' && node.tag === 'h1') {
+        hasTitle = true;
+      } else {
+        orphans.push({ line: lineNumber, text: node.source.trim().split('\n')[0] });
+      }
+    });
+    
     // Add final block
-    if (currentSelector && currentContent.length > 0) {
-      contentBlocks.push({
-        selector: currentSelector,
-        content: currentContent.join('\n').trim(),
-        type: this.detectContentType(currentContent)
-      });
-    }
+    saveBlock();
     
-    return contentBlocks;
+    return { blocks: contentBlocks, emptyBlocks, orphans };
   }
 
   /**
-   * Detect content type from markdown content
+   * Set a field of a block from one of its anchor comments
+   */
+  applyAnchorField(block, name, value) {
+    switch (name) {
+      case 'Content ID':
+        block.contentId = value;
+        break;
+      case 'Original hash':
+        block.originalHash = value;
+        break;
+      case 'Attribute':
+        block.attribute = value;
+        break;
+      case 'JSON Path':
+        block.jsonPath = value;
+        break;
+      case 'Shared by':
+        block.sharedBy = value.split(',').map(page => page.trim()).filter(Boolean);
+        break;
+    }
+  }
+
+  /**
+   * Check whether block text still holds merge conflict markers
+   */
+  hasConflictMarkers(content) {
+    return CONFLICT_MARKER.test(content);
+  }
+
+  /**
+   * Detect the content type of a block from its first CommonMark block
    */
   detectContentType(content) {
-    const text = content.join('\n');
-    
-    if (text.startsWith('#')) {
-      return 'heading';
-    } else if (text.startsWith('- ') || text.startsWith('* ')) {
-      return 'list';
-    } else if (text.startsWith('> ')) {
-      return 'blockquote';
-    } else if (text.startsWith('```')) {
-      return 'code';
-    } else {
+    const node = this.getMarkdownBlocks(content)[0];
+    if (!node) {
       return 'paragraph';
     }
+    
+    switch (node.type) {
+      case 'heading':
+        return 'heading';
+      case 'bullet_list':
+      case 'ordered_list':
+        return 'list';
+      case 'blockquote':
+        return 'blockquote';
+      case 'fence':
+      case 'code_block':
+        return 'code';
+      case 'table':
+        return 'table';
+      case 'html_block':
+        return /^<details[\s>]/i.test(node.source.trim()) ? 'details' : 'paragraph';
+      default:
+        if (this.markdownReader.startsWithImage(node)) {
+          return 'image';
+        }
+        // Definition lists are not CommonMark: term lines followed by ": " definition lines
+        return /^[^\n]+\n(?:[^\n:][^\n]*\n)*: /.test(node.source.trim()) ? 'definitions' : 'paragraph';
+    }
+  }
+
+  /**
+   * Top-level CommonMark blocks of a block's markdown, without comments
+   */
+  getMarkdownBlocks(content) {
+    return this.markdownReader.parse(content).filter(node => !this.markdownReader.isComment(node));
+  }
+
+  /**
+   * Inline markdown of each paragraph of a heading, paragraph or blockquote block.
+   * More than one means the block no longer fits a single element.
+   */
+  getTextParagraphs(content) {
+    return this.getMarkdownBlocks(content).flatMap(node => {
+      switch (node.type) {
+        case 'heading':
+        case 'paragraph':
+          return [this.markdownReader.getInlineContent(node)];
+        case 'blockquote':
+          return this.markdownReader.getParagraphs(node);
+        default:
+          return [node.source.trim()];
+      }
+    });
+  }
+
+  /**
+   * Find the HTML file of a markdown file: the source file recorded in its front matter
+   * when it exists in the HTML directory, otherwise the file at the same relative path
+   */
+  async findSourceHtmlFile(markdownFile, markdownContent) {
+    const data = this.readFileInfo(markdownFile, markdownContent);
+    
+    if (data && typeof data.source_file === 'string') {
+      const sourceFile = path.join(this.config.htmlDir, data.source_file);
+      if (!this.isInsideHtmlDir(sourceFile)) {
+        console.warn(`⚠️  Ignoring source_file outside the HTML directory: ${data.source_file}`);
+      } else if (await fs.pathExists(sourceFile)) {
+        return sourceFile;
+      }
+    }
+    
+    return this.findCorrespondingHtmlFile(markdownFile);
+  }
+
+  /**
+   * Front matter and Shared by comments are edited by hand; sync-back only writes inside the HTML directory
+   */
+  isInsideHtmlDir(file) {
+    const relative = path.relative(path.resolve(this.config.htmlDir), path.resolve(file));
+    return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
   }
 
   /**
@@ -328,7 +716,7 @@ class SyncBack {
   findCorrespondingHtmlFile(markdownFile) {
     // Remove .md extension and add .html
     const relativePath = path.relative(this.config.markdownDir, markdownFile);
-    const nameWithoutExt = path.basename(relativePath, '.md');
+    const nameWithoutExt = path.basename(relativePath, path.extname(relativePath));
     const dir = path.dirname(relativePath);
     
     // Handle index files
@@ -357,19 +745,34 @@ class SyncBack {
       const htmlContent = await fs.readFile(htmlFile, 'utf-8');
       const $ = cheerio.load(htmlContent);
       
+      // Text of the blocks as the HTML holds it now, to report the old text of blocks that were not applied
+      const current = this.config.reportFile ? this.getCurrentTexts(htmlContent, htmlFile) : new Map();
+      
       const changes = [];
+      const conflicts = [];
+      const blocks = [];
       
       // Update each content block
       for (const block of contentBlocks) {
+        this.warnings = [];
         const result = this.updateHtmlElement($, block, htmlFile);
         if (result.changed) {
           changes.push(result);
+        } else if (result.conflict) {
+          conflicts.push(result.conflict);
         }
+        blocks.push(this.createReportEntry(block, result, current));
+      }
+      this.warnings = null;
+      
+      const updatedHtml = changes.length > 0 ? $.html() : htmlContent;
+      if (this.config.showDiff && changes.length > 0) {
+        console.log(this.createDiff(htmlFile, htmlContent, updatedHtml));
       }
       
       // Write updated HTML if not dry run
       if (!this.config.dryRun && changes.length > 0) {
-        await fs.writeFile(htmlFile, $.html());
+        await fs.writeFile(htmlFile, updatedHtml);
         console.log(`✅ Updated: ${path.relative(this.config.htmlDir, htmlFile)} (${changes.length} changes)`);
       } else if (this.config.dryRun && changes.length > 0) {
         console.log(`🔍 Would update: ${path.relative(this.config.htmlDir, htmlFile)} (${changes.length} changes)`);
@@ -379,7 +782,9 @@ class SyncBack {
       
       return {
         success: true,
-        changes: changes
+        changes: changes,
+        conflicts: conflicts,
+        reports: [{ htmlFile: path.relative(this.config.htmlDir, htmlFile), blocks }]
       };
       
     } catch (error) {
@@ -391,46 +796,307 @@ class SyncBack {
   }
 
   /**
-   * Update a single HTML element
+   * Report entry of one block: its status (applied, unchanged, skipped, not-found or conflict),
+   * the element's text before and the edited text, and the warnings printed for it
+   */
+  createReportEntry(block, result, current) {
+    const warnings = this.warnings || [];
+    let status = result.changed ? 'applied' : result.conflict ? 'conflict' : result.status || 'skipped';
+    
+    // A table or image with nothing applied but a warning (rows added, a new src) was partly skipped
+    if (status === 'unchanged' && warnings.length > 0) {
+      status = 'skipped';
+    }
+    const oldText = current.get(this.getBlockKey(block));
+    
+    return {
+      selector: result.changed ? result.selector : this.getBlockLabel(block),
+      status,
+      oldText: result.changed ? result.oldText : oldText === undefined ? null : oldText,
+      newText: result.changed ? result.newText : block.content,
+      warnings
+    };
+  }
+
+  /**
+   * Unified diff of an HTML file before and after sync-back
+   */
+  createDiff(htmlFile, before, after) {
+    const name = path.relative(this.config.htmlDir, htmlFile).split(path.sep).join('/');
+    return createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after).replace(/^=+\n/, '');
+  }
+
+  /**
+   * Print a warning for the block being synced, and keep it for the report
+   */
+  warn(message) {
+    console.warn(`⚠️  ${message}`);
+    if (this.warnings) {
+      this.warnings.push(message);
+    }
+  }
+
+  /**
+   * Print a note for the block being synced, and keep it for the report
+   */
+  info(message) {
+    console.log(`ℹ️  ${message}`);
+    if (this.warnings) {
+      this.warnings.push(message);
+    }
+  }
+
+  /**
+   * Selector of a block as shown in messages, with the attribute or JSON path it anchors
+   */
+  getBlockLabel(block) {
+    if (block.jsonPath) return `${block.selector} ${block.jsonPath}`;
+    if (block.attribute) return `${block.selector} [${block.attribute}]`;
+    return block.selector;
+  }
+
+  /**
+   * Blocks a fresh extraction of the HTML file would write, as they are read back
+   */
+  extractBlocks(html, htmlFile) {
+    const { content, structuredData } = this.contentUtils.parseDocument(html);
+    const markdown = this.contentUtils.formatBody(content, htmlFile, { structuredData });
+    return this.parseMarkdownContent(markdown);
+  }
+
+  /**
+   * Current markdown of each block of an HTML file, page metadata included, by block key
+   */
+  getCurrentTexts(html, htmlFile) {
+    const metadata = this.contentUtils.formatMetadata(this.contentUtils.extractMetadata(cheerio.load(html)));
+    const blocks = [...this.createMetadataBlocks(metadata), ...this.extractBlocks(html, htmlFile)];
+    return new Map(blocks.map(block => [this.getBlockKey(block), block.content]));
+  }
+
+  /**
+   * A block is identified by its selector and the attribute or JSON path it anchors
+   */
+  getBlockKey(block) {
+    return [block.selector, block.attribute || '', block.jsonPath || ''].join('\u0000');
+  }
+
+  /**
+   * Three-way check of an edited block: the hash of the text it was extracted from,
+   * the matched element's current text and the edited text. Returns null when the edit
+   * can be applied, otherwise the result of leaving the element as it is.
+   */
+  checkOriginal($, $element, block, htmlFile) {
+    if (!block.originalHash) {
+      return null;
+    }
+    
+    // Null when the element no longer holds a block of this type
+    const currentText = this.getCurrentBlockText($, $element, block);
+    if (currentText === block.content) {
+      return null;
+    }
+    
+    // The HTML still holds the extracted text, so only the markdown changed
+    if (currentText !== null && this.frontMatter.hashBlock(currentText) === block.originalHash) {
+      return null;
+    }
+    
+    if (this.config.force === 'markdown') {
+      return null;
+    }
+    
+    const selector = this.getBlockLabel(block);
+    
+    if (currentText === null) {
+      if (this.config.force === 'html') {
+        this.info(`Element changed since extraction, keeping the HTML: ${selector}`);
+        return { changed: false };
+      }
+      
+      this.warn(`Conflict, the element no longer holds this ${block.type} block: ${selector}`);
+      return {
+        changed: false,
+        conflict: {
+          file: path.relative(this.config.htmlDir, htmlFile),
+          selector,
+          htmlText: this.inlineFormatter.htmlToMarkdown($element, $),
+          markdownText: block.content
+        }
+      };
+    }
+    
+    if (this.frontMatter.hashBlock(block.content) === block.originalHash) {
+      this.info(`Changed in the HTML since extraction, keeping it: ${selector}`);
+      return { changed: false };
+    }
+    
+    if (this.config.force === 'html') {
+      this.info(`Conflict, keeping the HTML: ${selector}`);
+      return { changed: false };
+    }
+    
+    this.warn(`Conflict, changed in both the HTML and the markdown: ${selector}`);
+    return {
+      changed: false,
+      conflict: {
+        file: path.relative(this.config.htmlDir, htmlFile),
+        selector,
+        htmlText: currentText,
+        markdownText: block.content
+      }
+    };
+  }
+
+  /**
+   * The matched element's text in the markdown form extraction gives a block of this type,
+   * so it can be compared with the block's original hash. Null when the element does
+   * not hold such a block (any more).
+   */
+  getCurrentBlockText($, $element, block) {
+    const item = this.createCurrentItem($, $element, block);
+    return item ? this.contentUtils.getBlockText(this.contentUtils.formatItem(item)) : null;
+  }
+
+  /**
+   * Extracted item of an element for a block's type, as a fresh extraction would build it
+   */
+  createCurrentItem($, $element, block) {
+    const tag = $element[0].name;
+    const text = $element.text().trim();
+    const html = $element.html();
+    
+    switch (block.type) {
+      case 'attribute':
+        return { type: 'attribute', attribute: block.attribute, text: ($element.attr(block.attribute) || '').trim() };
+      case 'json': {
+        const value = this.readJsonField($element, block);
+        return typeof value === 'string'
+          ? this.contentUtils.createDataItem({ path: block.jsonPath, value }, {})
+          : null;
+      }
+      case 'heading':
+        return /^h[1-6]$/.test(tag) ? { type: 'heading', text, html, tag } : null;
+      case 'paragraph':
+      case 'blockquote':
+        return text ? { type: block.type, text, html, tag } : null;
+      case 'code':
+        return { type: 'code', text, tag };
+      case 'list':
+        return $element.is('ul, ol') ? { type: 'list', ...this.contentUtils.extractList($element, $), tag } : null;
+      case 'table':
+        return $element.is('table') ? { type: 'table', rows: this.contentUtils.extractTableRows($element, $), tag } : null;
+      case 'image': {
+        const image = this.contentUtils.extractImage($element, $);
+        return image ? { type: 'image', ...image, tag } : null;
+      }
+      case 'definitions':
+        return $element.is('dl') ? { type: 'definitions', groups: this.contentUtils.extractDefinitions($element, $), tag } : null;
+      case 'details':
+        return $element.is('details') ? { type: 'details', ...this.contentUtils.extractDetails($element, $), tag } : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Value of a block's JSON path in a script element, or undefined when it cannot be read
+   */
+  readJsonField($element, block) {
+    try {
+      return this.jsonContent.getAtPath(JSON.parse($element.html()), this.jsonContent.parsePath(block.jsonPath));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Update a single HTML element. Blocks that carry the hash of their original text are
+   * checked against the matched element first.
    */
   updateHtmlElement($, block, htmlFile) {
     try {
-      const $element = $(block.selector);
+      if (this.hasConflictMarkers(block.content)) {
+        this.warn(`Unresolved merge conflict, skipping: ${block.selector}`);
+        return { changed: false };
+      }
+      
+      if (block.type === 'meta') {
+        return this.updateMetadata($, block, htmlFile);
+      }
+      
+      const $element = this.findElement($, block);
       
       if ($element.length === 0) {
-        console.warn(`⚠️  Selector not found: ${block.selector}`);
+        this.warn(`Selector not found: ${block.selector}`);
+        return { changed: false, status: 'not-found' };
+      }
+      
+      // Never rewrite several elements with one block
+      if ($element.length > 1) {
+        this.warn(`Selector matches ${$element.length} elements, skipping: ${block.selector}`);
+        return { changed: false };
+      }
+      
+      // Hydration data is rebuilt by the site's framework, not edited in place
+      if (block.type === 'json' && $element.attr('type') !== 'application/ld+json') {
+        this.info(`Skipping hydration data field: ${block.jsonPath}`);
+        return { changed: false };
+      }
+      
+      const skipped = this.checkOriginal($, $element, block, htmlFile);
+      if (skipped) {
+        return skipped;
+      }
+      
+      if (block.type === 'json') {
+        return this.updateJsonField($element, block, htmlFile);
+      }
+      
+      if (block.type === 'table') {
+        return this.updateTableElement($, $element, block, htmlFile);
+      }
+      
+      if (block.type === 'image') {
+        return this.updateImageElement($, $element, block, htmlFile);
+      }
+      
+      if (block.type === 'attribute') {
+        return this.updateAttribute($element, block, htmlFile);
+      }
+      
+      const mismatch = this.checkBlockStructure($element, block);
+      if (mismatch) {
+        this.warn(`${mismatch}, skipping: ${block.selector}`);
         return { changed: false };
       }
       
-      const oldText = $element.text().trim();
+      const oldText = this.getElementMarkdown($, $element, block.type);
       const newText = this.convertMarkdownToText(block.content, block.type);
       
       // Check if content actually changed
       if (oldText === newText) {
-        return { changed: false };
+        return { changed: false, status: 'unchanged' };
       }
       
       // Update the element
-      if (block.type === 'heading') {
-        // Update heading text
-        $element.text(newText);
-      } else if (block.type === 'list') {
-        // Update list items
-        const items = this.parseListItems(block.content);
-        $element.empty();
-        items.forEach(item => {
-          $element.append(`<li>${item}</li>`);
-        });
-      } else if (block.type === 'blockquote') {
-        // Update blockquote
-        $element.text(newText);
+      if (block.type === 'list') {
+        // Update list items in place so item attributes and nested lists survive
+        this.applyListItems($, $element, this.parseListMarkdown(block.content));
+      } else if (block.type === 'definitions') {
+        this.applyDefinitions($, $element, this.parseDefinitionsMarkdown(block.content));
+      } else if (block.type === 'details') {
+        this.applyDetails($, $element, this.parseDetailsMarkdown(block.content));
       } else if (block.type === 'code') {
         // Update code block
         const codeText = this.extractCodeText(block.content);
         $element.text(codeText);
+      } else if ($element.is('button') && $element.children().not('strong, b, em, i, code').length > 0) {
+        // Buttons with icons: replace the label text and keep the icon elements
+        const labelText = cheerio.load(this.inlineFormatter.markdownToHtml(newText), null, false).root().text();
+        this.updateTextNodes($element, labelText);
       } else {
-        // Update paragraph or other text content
-        $element.text(newText);
+        // Update heading, blockquote, paragraph or other inline content
+        $element.html(this.inlineFormatter.markdownToHtml(newText, $element, $));
       }
       
       return {
@@ -442,45 +1108,657 @@ class SyncBack {
       };
       
     } catch (error) {
-      console.warn(`⚠️  Failed to update element with selector ${block.selector}:`, error.message);
+      this.warn(`Failed to update element with selector ${block.selector}: ${error.message}`);
+      return { changed: false };
+    }
+  }
+
+  /**
+   * Check that an edited block still fits its element: a heading, paragraph or quote
+   * holds one paragraph, and a list is written to a list element. Returns the problem, if any.
+   */
+  checkBlockStructure($element, block) {
+    if (block.type === 'list' && !$element.is('ul, ol')) {
+      return `Block is a list but the element is <${$element[0].name}>`;
+    }
+    
+    if (['heading', 'paragraph', 'blockquote'].includes(block.type)) {
+      const paragraphs = this.getTextParagraphs(block.content);
+      if (paragraphs.length > 1) {
+        return `Block holds ${paragraphs.length} paragraphs but its element holds one`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Update the page title or a meta tag's content from a metadata block
+   */
+  updateMetadata($, block, htmlFile) {
+    const key = block.meta;
+    const newText = block.content.replace(/\s+/g, ' ').trim();
+    
+    if (key === 'title') {
+      let $title = $('title').first();
+      const oldText = $title.text().replace(/\s+/g, ' ').trim();
+      if (oldText === newText) {
+        return { changed: false, status: 'unchanged' };
+      }
+      
+      if ($title.length === 0) {
+        $title = $('<title></title>');
+        $('head').append($title);
+      }
+      $title.text(newText);
+      
+      return {
+        changed: true,
+        file: path.relative(this.config.htmlDir, htmlFile),
+        selector: 'title',
+        oldText,
+        newText
+      };
+    }
+    
+    let $meta = this.contentUtils.findMetaTag($, key);
+    const oldText = ($meta.attr('content') || '').replace(/\s+/g, ' ').trim();
+    if (oldText === newText) {
+      return { changed: false, status: 'unchanged' };
+    }
+    
+    // Open Graph tags use the property attribute, everything else uses name
+    const attribute = key.startsWith('og:') ? 'property' : 'name';
+    if ($meta.length === 0) {
+      $meta = $(`<meta ${attribute}="${key}">`);
+      $('head').append($meta);
+    }
+    $meta.attr('content', newText);
+    
+    return {
+      changed: true,
+      file: path.relative(this.config.htmlDir, htmlFile),
+      selector: `meta[${$meta.attr('property') === key ? 'property' : attribute}="${key}"]`,
+      oldText,
+      newText
+    };
+  }
+
+  /**
+   * Update a single attribute of an element, leaving its children untouched
+   */
+  updateAttribute($element, block, htmlFile) {
+    const oldText = ($element.attr(block.attribute) || '').trim();
+    const newText = block.content.replace(/\s+/g, ' ').trim();
+    
+    if (oldText === newText) {
+      return { changed: false, status: 'unchanged' };
+    }
+    
+    $element.attr(block.attribute, newText);
+    
+    return {
+      changed: true,
+      file: path.relative(this.config.htmlDir, htmlFile),
+      selector: `${block.selector} [${block.attribute}]`,
+      oldText,
+      newText
+    };
+  }
+
+  /**
+   * Update one string field of a JSON-LD script, leaving the rest of its source untouched
+   */
+  updateJsonField($element, block, htmlFile) {
+    const source = $element.html();
+    const segments = this.jsonContent.parsePath(block.jsonPath);
+    let data;
+    
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      this.warn(`Invalid JSON-LD, skipping: ${block.selector}`);
+      return { changed: false };
+    }
+    
+    const oldValue = this.jsonContent.getAtPath(data, segments);
+    if (typeof oldValue !== 'string') {
+      this.warn(`JSON path not found: ${block.selector} ${block.jsonPath}`);
+      return { changed: false, status: 'not-found' };
+    }
+    
+    const item = this.contentUtils.createDataItem({ path: block.jsonPath, value: oldValue }, {});
+    const oldText = this.contentUtils.formatInline(item.html, item.text);
+    
+    if (oldText === block.content) {
+      return { changed: false, status: 'unchanged' };
+    }
+    
+    const newValue = item.html ? this.convertMarkdownToHtmlString(block.content, item.html) : block.content.replace(/\s+/g, ' ').trim();
+    $element.text(this.jsonContent.replaceString(source, segments, newValue));
+    
+    return {
+      changed: true,
+      file: path.relative(this.config.htmlDir, htmlFile),
+      selector: `${block.selector} ${block.jsonPath}`,
+      oldText,
+      newText: block.content
+    };
+  }
+  
+  /**
+   * Convert edited markdown back to an HTML string, reusing the original
+   * string's inline tags and a single wrapping block element such as <p>
+   */
+  convertMarkdownToHtmlString(markdown, originalHtml) {
+    const $fragment = cheerio.load(originalHtml, null, false);
+    const $children = $fragment.root().contents().filter((i, node) => node.type !== 'text' || node.data.trim());
+    const $wrapper = $children.length === 1 && $children[0].type === 'tag' &&
+      !['strong', 'b', 'em', 'i', 'a', 'code', 'span'].includes($children[0].name) ? $children.first() : $fragment.root();
+    
+    $wrapper.html(this.inlineFormatter.markdownToHtml(markdown, $wrapper, $fragment));
+    return $fragment.html();
+  }
+
+  /**
+   * Replace the text of an element's direct text nodes, keeping its child elements
+   */
+  updateTextNodes($element, text) {
+    const textNodes = $element.contents().toArray()
+      .filter(node => node.type === 'text' && node.data.trim());
+    
+    if (textNodes.length === 0) {
+      $element.append(text);
+      return;
+    }
+    
+    textNodes.forEach((node, index) => {
+      const leading = node.data.match(/^\s*/)[0];
+      const trailing = node.data.match(/\s*$/)[0];
+      node.data = index === 0 ? `${leading}${text}${trailing}` : '';
+    });
+  }
+
+  /**
+   * Find the element for a block: by its stable content id first, then by selector
+   */
+  findElement($, block) {
+    if (block.contentId) {
+      const $anchored = $(`[${ContentUtils.CONTENT_ID_ATTRIBUTE}="${block.contentId}"]`);
+      if ($anchored.length > 0) {
+        return $anchored;
+      }
+      this.warn(`Content ID not found: ${block.contentId}, falling back to selector`);
+    }
+    
+    if (block.selector.includes(` ${ContentUtils.DEEP_DESCENDANT} `) || block.selector.includes(` ${ContentUtils.DEEP_CHILD} `)) {
+      return this.findShadowElement($, block.selector);
+    }
+    
+    return $(block.selector);
+  }
+
+  /**
+   * Resolve a selector that crosses shadow roots ("host >>> p"). Shadow content is only
+   * in the HTML file when it is declared with <template shadowrootmode>; iframe content
+   * lives in another file and is not synced.
+   */
+  findShadowElement($, selector) {
+    const parts = selector.split(/ (>>>>?) /);
+    let $scope = $(parts[0]);
+    
+    for (let i = 1; i < parts.length && $scope.length === 1; i += 2) {
+      const combinator = parts[i];
+      const part = parts[i + 1];
+      
+      if ($scope.is('iframe')) {
+        this.warn(`Content inside iframes is not synced: ${selector}`);
+        return $([]);
+      }
+      
+      const $template = $scope.children('template[shadowrootmode], template[shadowroot]').first();
+      if ($template.length === 0 || !$template[0].children[0]) {
+        this.warn(`No declarative shadow root in the HTML for: ${selector}`);
+        return $([]);
+      }
+      
+      // Template content is a separate fragment, so matches stay inside this shadow root
+      const root = $template[0].children[0];
+      $scope = $(root).find(part);
+      
+      if (combinator === ContentUtils.DEEP_CHILD) {
+        const depth = part.split(' > ').length - 1;
+        $scope = $scope.filter((index, element) => {
+          let node = element;
+          for (let level = 0; level < depth; level++) {
+            node = node.parent;
+          }
+          return node.parent === root;
+        });
+      }
+    }
+    
+    return $scope;
+  }
+
+  /**
+   * Update the cells of a table element, leaving table markup untouched
+   */
+  updateTableElement($, $table, block, htmlFile) {
+    const rows = this.parseTableRows(block.content);
+    const $rows = this.getTableRows($, $table);
+    const oldCells = [];
+    const newCells = [];
+    
+    if (rows.length !== $rows.length) {
+      this.warn(`Table row count changed for ${block.selector} (${$rows.length} → ${rows.length}), only matching rows are synced`);
+    }
+    
+    rows.forEach((cells, rowIndex) => {
+      const $row = $rows[rowIndex];
+      if (!$row) return;
+      
+      const $cells = $row.children('th, td');
+      cells.forEach((cellText, cellIndex) => {
+        const $cell = $cells.eq(cellIndex);
+        if ($cell.length === 0) {
+          if (cellText) {
+            this.warn(`No matching cell for "${cellText}" in ${block.selector}`);
+          }
+          return;
+        }
+        
+        const oldText = this.getTableCellMarkdown($, $cell);
+        if (oldText !== cellText) {
+          $cell.html(this.inlineFormatter.markdownToHtml(cellText, $cell, $));
+          oldCells.push(oldText);
+          newCells.push(cellText);
+        }
+      });
+    });
+    
+    if (newCells.length === 0) {
+      return { changed: false, status: 'unchanged' };
+    }
+    
+    return {
+      changed: true,
+      file: path.relative(this.config.htmlDir, htmlFile),
+      selector: block.selector,
+      oldText: oldCells.join(' | '),
+      newText: newCells.join(' | ')
+    };
+  }
+
+  /**
+   * Update alt text, title, caption and optionally src of an image element
+   */
+  updateImageElement($, $element, block, htmlFile) {
+    const image = this.parseImageMarkdown(block.content);
+    if (!image) {
+      this.warn(`Could not parse image markdown for ${block.selector}`);
       return { changed: false };
     }
+    
+    const $img = $element.is('img') ? $element : $element.find('img').first();
+    if ($img.length === 0) {
+      this.warn(`No image found for selector: ${block.selector}`);
+      return { changed: false, status: 'not-found' };
+    }
+    
+    const oldParts = [];
+    const newParts = [];
+    const attributes = ['alt', 'title'];
+    if (this.config.updateImageSrc) {
+      attributes.push('src');
+    }
+    
+    attributes.forEach(attribute => {
+      const oldValue = $img.attr(attribute) || '';
+      const newValue = image[attribute];
+      if (oldValue === newValue) return;
+      
+      if (newValue || attribute === 'alt') {
+        $img.attr(attribute, newValue);
+      } else {
+        $img.removeAttr(attribute);
+      }
+      oldParts.push(`${attribute}="${oldValue}"`);
+      newParts.push(`${attribute}="${newValue}"`);
+    });
+    
+    if (!this.config.updateImageSrc && image.src !== ($img.attr('src') || '')) {
+      this.warn(`Image source changed for ${block.selector}, use --update-src to apply it`);
+    }
+    
+    const $caption = $element.is('figure') ? $element.children('figcaption').first() : $();
+    if ($caption.length > 0) {
+      const oldCaption = this.inlineFormatter.htmlToMarkdown($caption, $);
+      if (oldCaption !== image.caption) {
+        $caption.html(this.inlineFormatter.markdownToHtml(image.caption, $caption, $));
+        oldParts.push(`caption="${oldCaption}"`);
+        newParts.push(`caption="${image.caption}"`);
+      }
+    } else if (image.caption) {
+      this.warn(`No figcaption to hold caption for ${block.selector}`);
+    }
+    
+    if (newParts.length === 0) {
+      return { changed: false, status: 'unchanged' };
+    }
+    
+    return {
+      changed: true,
+      file: path.relative(this.config.htmlDir, htmlFile),
+      selector: block.selector,
+      oldText: oldParts.join(' '),
+      newText: newParts.join(' ')
+    };
+  }
+
+  /**
+   * Get the rows of a table, ignoring rows of nested tables
+   */
+  getTableRows($, $table) {
+    return $table.find('tr').toArray()
+      .filter(tr => $(tr).closest('table')[0] === $table[0])
+      .map(tr => $(tr));
+  }
+
+  /**
+   * Get the current content of a table cell as single-line markdown
+   */
+  getTableCellMarkdown($, $cell) {
+    return this.inlineFormatter.htmlToMarkdown($cell, $).replace(/\s*\n\s*/g, ' ');
+  }
+
+  /**
+   * Get the current content of an element in the same markdown form as an edited block
+   */
+  getElementMarkdown($, $element, type) {
+    switch (type) {
+      case 'code':
+        return $element.text().trim();
+      case 'list':
+        return this.contentUtils.formatList(this.contentUtils.extractList($element, $)).trim();
+      case 'definitions':
+        return this.contentUtils.formatDefinitions(this.contentUtils.extractDefinitions($element, $)).trim();
+      case 'details':
+        return this.contentUtils.formatDetails(this.contentUtils.extractDetails($element, $)).trim();
+      default:
+        return this.inlineFormatter.htmlToMarkdown($element, $);
+    }
   }
 
   /**
-   * Convert markdown content to plain text
+   * Convert a markdown block to the inline markdown stored in the element
    */
   convertMarkdownToText(content, type) {
     switch (type) {
       case 'heading':
-        return content.replace(/^#+\s*/, '');
+      case 'paragraph':
       case 'blockquote':
-        return content.replace(/^>\s*/, '');
+        return this.getTextParagraphs(content).join('\n\n');
       case 'code':
         return this.extractCodeText(content);
       case 'list':
-        return this.parseListItems(content).join(', ');
+        return this.contentUtils.formatList(this.parseListMarkdown(content)).trim();
+      case 'definitions':
+        return this.contentUtils.formatDefinitions(this.parseDefinitionsMarkdown(content)).trim();
+      case 'details':
+        return this.contentUtils.formatDetails(this.parseDetailsMarkdown(content)).trim();
       default:
         return content;
     }
   }
 
   /**
-   * Extract code text from markdown code block
+   * Extract code text from a fenced or indented code block
    */
   extractCodeText(content) {
-    return content.replace(/^```\w*\n/, '').replace(/\n```$/, '');
+    const node = this.getMarkdownBlocks(content)[0];
+    return node && (node.type === 'fence' || node.type === 'code_block') ? this.markdownReader.getCodeText(node) : content;
+  }
+
+  /**
+   * Parse the cells of a GitHub-flavored markdown table, header row first
+   */
+  parseTableRows(content) {
+    const node = this.getMarkdownBlocks(content)[0];
+    return node && node.type === 'table' ? this.markdownReader.parseTable(node) : [];
+  }
+
+  /**
+   * Parse image markdown (![alt](src "title")) followed by an optional caption
+   */
+  parseImageMarkdown(content) {
+    const lines = content.split('\n');
+    const match = lines[0].trim().match(/^!\[((?:[^\]\\]|\\.)*)\]\((\S*?)(?:\s+"((?:[^"\\]|\\.)*)")?\)$/);
+    if (!match) {
+      return null;
+    }
+    
+    return {
+      alt: match[1].replace(/\\(.)/g, '$1'),
+      src: match[2].replace(/%28/g, '(').replace(/%29/g, ')').replace(/%20/g, ' '),
+      title: (match[3] || '').replace(/\\"/g, '"'),
+      caption: lines.slice(1).join('\n').trim()
+    };
   }
 
   /**
-   * Parse list items from markdown list
+   * Parse a markdown list, including nested lists, into the extracted list structure
    */
-  parseListItems(content) {
-    return content
-      .split('\n')
-      .filter(line => line.trim().startsWith('- ') || line.trim().startsWith('* '))
-      .map(line => line.replace(/^[-*]\s*/, ''));
+  parseListMarkdown(content) {
+    const node = this.getMarkdownBlocks(content)[0];
+    return node && /_list$/.test(node.type) ? this.markdownReader.parseList(node) : { ordered: false, start: 1, items: [] };
+  }
+
+  /**
+   * Apply parsed list items to a list element, reusing existing items
+   */
+  applyListItems($, $list, list) {
+    if ($list.is('ol') && list.ordered) {
+      const currentStart = parseInt($list.attr('start'), 10) || 1;
+      if (list.start !== currentStart) {
+        if (list.start === 1) {
+          $list.removeAttr('start');
+        } else {
+          $list.attr('start', String(list.start));
+        }
+      }
+    }
+    
+    const $items = $list.children('li');
+    
+    list.items.forEach((item, index) => {
+      let $item = $items.eq(index);
+      
+      if ($item.length === 0) {
+        // New items copy the attributes of the last existing item
+        $item = $('<li></li>');
+        if ($items.length > 0) {
+          $item.attr($items.last().attr());
+        }
+        $list.append($item);
+      }
+      
+      this.applyListItem($, $item, item);
+    });
+    
+    $items.slice(list.items.length).remove();
+  }
+
+  /**
+   * Apply a parsed list item to an li element without touching its nested lists
+   */
+  applyListItem($, $item, item) {
+    const $nested = $item.children('ul, ol');
+    const $inline = $item.clone();
+    $inline.children('ul, ol').remove();
+    
+    if (this.inlineFormatter.htmlToMarkdown($inline, $) !== item.text.trim()) {
+      $nested.remove();
+      $item.html(this.inlineFormatter.markdownToHtml(item.text, $inline, $));
+      $item.append($nested);
+    }
+    
+    item.children.forEach((child, index) => {
+      let $child = $nested.eq(index);
+      if ($child.length === 0) {
+        $child = $(child.ordered ? '<ol></ol>' : '<ul></ul>');
+        $item.append($child);
+      }
+      this.applyListItems($, $child, child);
+    });
+    
+    $nested.slice(item.children.length).remove();
+  }
+
+  /**
+   * Parse a markdown definition list: term lines, followed by ": " definition lines
+   */
+  parseDefinitionsMarkdown(content) {
+    const groups = [];
+    let lastDefinition = null;
+    
+    content.split('\n').forEach(line => {
+      if (!line.trim()) {
+        lastDefinition = null;
+        return;
+      }
+      
+      if (line.startsWith(': ')) {
+        if (groups.length === 0) {
+          groups.push({ terms: [], definitions: [] });
+        }
+        lastDefinition = { text: line.slice(2).trimStart(), html: null };
+        groups[groups.length - 1].definitions.push(lastDefinition);
+      } else if (lastDefinition && /^\s/.test(line)) {
+        // Continuation line of the previous definition
+        lastDefinition.text += `\n${line.trimStart()}`;
+      } else {
+        const last = groups[groups.length - 1];
+        if (!last || last.definitions.length > 0) {
+          groups.push({ terms: [], definitions: [] });
+        }
+        groups[groups.length - 1].terms.push({ text: line.trim(), html: null });
+        lastDefinition = null;
+      }
+    });
+    
+    return groups;
+  }
+
+  /**
+   * Apply parsed term groups to a definition list. When the order of terms and
+   * definitions is unchanged they are updated in place; otherwise the list is rebuilt.
+   */
+  applyDefinitions($, $element, groups) {
+    const entries = groups.flatMap(group => [
+      ...group.terms.map(term => ({ name: 'dt', text: term.text })),
+      ...group.definitions.map(definition => ({ name: 'dd', text: definition.text }))
+    ]);
+    const elements = this.contentUtils.getDefinitionElements($element, $);
+    
+    if (elements.map(element => element.name).join() === entries.map(entry => entry.name).join()) {
+      entries.forEach((entry, index) => {
+        const $item = $(elements[index]);
+        if (this.inlineFormatter.htmlToMarkdown($item, $) !== entry.text) {
+          $item.html(this.inlineFormatter.markdownToHtml(entry.text, $item, $));
+        }
+      });
+      return;
+    }
+    
+    // New terms and definitions copy the attributes of the last existing ones
+    const templates = {
+      dt: elements.filter(element => element.name === 'dt').pop(),
+      dd: elements.filter(element => element.name === 'dd').pop()
+    };
+    
+    $element.children('dt, dd').remove();
+    $element.children('div').filter((i, div) => $(div).children().length === $(div).children('dt, dd').length).remove();
+    $element.contents().filter((i, node) => node.type === 'text' && !node.data.trim()).remove();
+    
+    entries.forEach(entry => {
+      const $item = $(`<${entry.name}></${entry.name}>`);
+      if (templates[entry.name]) {
+        $item.attr({ ...templates[entry.name].attribs });
+      }
+      $item.html(this.inlineFormatter.markdownToHtml(entry.text, templates[entry.name] ? $(templates[entry.name]) : null, $));
+      $element.append($item);
+    });
+  }
+
+  /**
+   * Parse a <details> markdown block into its summary and body paragraphs
+   */
+  parseDetailsMarkdown(content) {
+    const summary = content.match(/<summary>([\s\S]*?)<\/summary>/);
+    const body = content
+      .replace(/^[\s\S]*?<\/summary>/, '')
+      .replace(/<\/details>\s*$/, '')
+      .trim();
+    
+    return {
+      summary: summary ? summary[1].trim() : '',
+      summaryHtml: null,
+      body: body ? body.split(/\n\s*\n/).map(paragraph => ({ text: paragraph.trim(), html: null })) : []
+    };
+  }
+
+  /**
+   * Apply an edited summary and body paragraphs to a details element.
+   * Bodies with more than paragraphs and inline text are synced block by block instead.
+   */
+  applyDetails($, $element, details) {
+    const $summary = $element.children('summary').first();
+    if ($summary.length > 0 && this.inlineFormatter.htmlToMarkdown($summary, $) !== details.summary) {
+      $summary.html(this.inlineFormatter.markdownToHtml(details.summary, $summary, $));
+    }
+    
+    const chunks = this.contentUtils.getDetailsChunks($element, $);
+    if (!chunks) {
+      return;
+    }
+    
+    if (chunks.length === details.body.length) {
+      chunks.forEach((chunk, index) => {
+        const text = details.body[index].text;
+        
+        if (chunk.$p) {
+          if (this.inlineFormatter.htmlToMarkdown(chunk.$p, $) !== text) {
+            chunk.$p.html(this.inlineFormatter.markdownToHtml(text, chunk.$p, $));
+          }
+          return;
+        }
+        
+        // Runs of text and inline elements are replaced as a whole
+        const $run = $('<div></div>').append(chunk.nodes.map(node => $(node).clone()));
+        if (this.inlineFormatter.htmlToMarkdown($run, $) !== text) {
+          chunk.nodes.slice(1).forEach(node => $(node).remove());
+          $(chunk.nodes[0]).replaceWith(this.inlineFormatter.markdownToHtml(text, $run, $));
+        }
+      });
+      return;
+    }
+    
+    // Paragraphs were added or removed: rebuild the body as <p> elements
+    const template = chunks.find(chunk => chunk.$p);
+    chunks.forEach(chunk => chunk.nodes.forEach(node => $(node).remove()));
+    
+    details.body.forEach(paragraph => {
+      const $p = $('<p></p>');
+      if (template) {
+        $p.attr({ ...template.$p[0].attribs });
+      }
+      $p.html(this.inlineFormatter.markdownToHtml(paragraph.text, null, $));
+      $element.append($p);
+    });
   }
 }
 
+SyncBack.FORCE_SIDES = FORCE_SIDES;
+
 module.exports = SyncBack;
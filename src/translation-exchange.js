@@ -0,0 +1,680 @@
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+const SyncBack = require('./sync-back');
+
+/**
+ * Translation exchange
+ * Exports the blocks of extracted content files as XLIFF 2.0 or gettext PO files for
+ * translators, and imports the translated files as localized content files
+ */
+
+const TRANSLATION_FORMATS = {
+  xliff: '.xlf',
+  po: '.po'
+};
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Code is not translated
+const SKIPPED_TYPES = ['code'];
+
+// Original hash comment of a block, in markdown or MDX
+const ORIGINAL_HASH_COMMENT = /^(?:<!-- Original hash: .+ -->|\{\/\* Original hash: .+ \*\/\})$/;
+
+// Markdown markup at the start of a line of each block type, kept out of the translatable text
+const LINE_MARKUP = {
+  heading: /^(#{1,6}[ \t]+)(.*)$/,
+  list: /^([ \t]*(?:[-*+]|\d+[.)])[ \t]+|[ \t]+)(.*)$/,
+  blockquote: /^(>[ \t]?)(.*)$/,
+  definitions: /^(:[ \t]+|[ \t]+)(.*)$/,
+  details: /^(<\/?details(?:[ \t][^>]*)?>|<summary>)(.*?)(<\/summary>)?$/
+};
+
+// Image markdown: ![alt](src "title")
+const IMAGE_MARKUP = /^(!\[)((?:[^\]\\]|\\.)*)(\]\(\S*?(?:\s+")?)((?:[^"\\]|\\.)*?)("?\))$/;
+
+// Table separator rows, and the pipes between cells
+const TABLE_SEPARATOR = /^\|?[ \t]*:?-{3,}:?[ \t]*(?:\|[ \t]*:?-{3,}:?[ \t]*)*\|?$/;
+const TABLE_PIPE = /([ \t]*(?<!\\)\|[ \t]*)/;
+
+class TranslationExchange {
+  constructor(config = {}) {
+    this.config = {
+      format: 'xliff',
+      sourceLanguage: 'en',
+      targetLanguage: null,
+      ...config
+    };
+    this.syncBack = new SyncBack(config);
+  }
+
+  /**
+   * Export every content file of contentDir to a translation file in outputDir,
+   * at the same relative path
+   */
+  async exportTranslations(contentDir, outputDir) {
+    console.log(`🌐 Exporting translations (${this.config.format})...`);
+
+    try {
+      const extension = this.getFormatExtension(this.config.format);
+      const contentFiles = await this.syncBack.findMarkdownFiles(contentDir);
+      const files = [];
+      let unitCount = 0;
+
+      for (const contentFile of contentFiles) {
+        const sourceFile = path.relative(contentDir, contentFile).split(path.sep).join('/');
+        const units = this.createUnits(contentFile, await fs.readFile(contentFile, 'utf-8'));
+        if (units.length === 0) continue;
+
+        const parsed = path.parse(sourceFile);
+        const fileName = path.posix.join(parsed.dir, `${parsed.name}${extension}`);
+        const document = this.config.format === 'po'
+          ? this.formatPo(sourceFile, units)
+          : this.formatXliff(sourceFile, units);
+
+        await fs.ensureDir(path.dirname(path.join(outputDir, fileName)));
+        await fs.writeFile(path.join(outputDir, fileName), document);
+        files.push(fileName);
+        unitCount += units.length;
+        console.log(`✅ Exported: ${fileName} (${units.length} units)`);
+      }
+
+      console.log(`📊 Exported ${unitCount} units from ${files.length} files`);
+      return { success: true, files, units: unitCount };
+    } catch (error) {
+      console.error('❌ Export failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Import translated XLIFF or PO files (a file or a directory) into localized copies of
+   * the content files of contentDir, written to outputDir. With localeHtmlDir, the localized
+   * files are then synced into that locale copy of the HTML in htmlDir.
+   */
+  async importTranslations(inputPath, contentDir, outputDir, htmlDir = null, localeHtmlDir = null) {
+    console.log('🌐 Importing translations...');
+
+    try {
+      const translationFiles = await this.findTranslationFiles(inputPath);
+      if (translationFiles.length === 0) {
+        return { success: false, error: 'No translation files found' };
+      }
+
+      const files = [];
+      const languages = new Map();
+      for (const translationFile of translationFiles) {
+        const translation = this.parseTranslationFile(translationFile, await fs.readFile(translationFile, 'utf-8'));
+        if (!translation.sourceFile) {
+          console.warn(`⚠️  No source file recorded in ${translationFile}`);
+          continue;
+        }
+
+        const contentFile = path.join(contentDir, translation.sourceFile);
+        if (!await fs.pathExists(contentFile)) {
+          console.warn(`⚠️  Content file not found for ${translationFile}: ${contentFile}`);
+          continue;
+        }
+
+        const { content, translated, missing } = this.applyTranslation(
+          contentFile,
+          await fs.readFile(contentFile, 'utf-8'),
+          translation
+        );
+
+        const outputFile = path.join(outputDir, translation.sourceFile);
+        await fs.ensureDir(path.dirname(outputFile));
+        await fs.writeFile(outputFile, content);
+        files.push(translation.sourceFile);
+        languages.set(translation.sourceFile, translation.language || this.config.targetLanguage);
+        console.log(`✅ Imported: ${translation.sourceFile} (${translated} translated${missing > 0 ? `, ${missing} untranslated` : ''})`);
+      }
+
+      if (localeHtmlDir) {
+        const sync = await this.syncLocalizedHtml(outputDir, htmlDir, localeHtmlDir, languages);
+        if (!sync.success) {
+          return sync;
+        }
+      }
+
+      return { success: true, files };
+    } catch (error) {
+      console.error('❌ Import failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Sync the localized content files into a locale copy of the HTML with SyncBack.
+   * The copy is made from htmlDir when it does not exist yet. Languages maps each
+   * imported content file to its target language, written to the page's <html lang>.
+   */
+  async syncLocalizedHtml(outputDir, htmlDir, localeHtmlDir, languages = new Map()) {
+    if (!await fs.pathExists(localeHtmlDir)) {
+      if (!htmlDir || !await fs.pathExists(htmlDir)) {
+        return { success: false, error: `HTML directory not found: ${htmlDir || localeHtmlDir}` };
+      }
+      console.log(`📋 Copying ${htmlDir} to ${localeHtmlDir}`);
+      await fs.copy(htmlDir, localeHtmlDir);
+    }
+
+    const syncBack = new SyncBack({
+      ...this.config,
+      markdownDir: outputDir,
+      htmlDir: localeHtmlDir
+    });
+    const result = await syncBack.syncBack();
+    if (!result.success) {
+      return result;
+    }
+
+    for (const [file, language] of languages) {
+      if (!language) continue;
+
+      const contentFile = path.join(outputDir, file);
+      const htmlFile = await syncBack.findSourceHtmlFile(contentFile, await fs.readFile(contentFile, 'utf-8'));
+      if (htmlFile && await fs.pathExists(htmlFile)) {
+        await this.setHtmlLanguage(htmlFile, language);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Set the lang attribute of a page's <html> element
+   */
+  async setHtmlLanguage(htmlFile, language) {
+    const html = await fs.readFile(htmlFile, 'utf-8');
+    const $ = cheerio.load(html);
+    if ($('html').attr('lang') === language) {
+      return;
+    }
+
+    $('html').attr('lang', language);
+    await fs.writeFile(htmlFile, $.html());
+    console.log(`🌐 Set lang="${language}": ${htmlFile}`);
+  }
+
+  /**
+   * File extension of a translation format
+   */
+  getFormatExtension(format) {
+    if (!TRANSLATION_FORMATS[format]) {
+      throw new Error(`Unknown translation format: ${format}`);
+    }
+    return TRANSLATION_FORMATS[format];
+  }
+
+  /**
+   * Translatable units of a content file: { key, type, line, parts, block } where parts
+   * split the block's markdown into markup ({ markup: true }) and translatable text
+   */
+  createUnits(file, content) {
+    const blocks = this.syncBack.parseContentFile(file, content);
+    return this.getUnitKeys(blocks)
+      .map((key, index) => ({ key, block: blocks[index] }))
+      .filter(({ block }) => block.content && !SKIPPED_TYPES.includes(block.type))
+      .map(({ key, block }) => ({
+        key,
+        type: block.type,
+        line: block.contentStart || block.line || null,
+        parts: this.splitMarkup(block.type, block.content),
+        block
+      }))
+      .filter(unit => unit.parts.some(part => !part.markup));
+  }
+
+  /**
+   * Split block markdown into markup and text parts, line by line, so translators never
+   * edit heading, list, quote or definition markers, table pipes or image syntax
+   */
+  splitMarkup(type, markdown) {
+    const parts = [];
+    const add = (text, markup) => {
+      if (!text) return;
+      const last = parts[parts.length - 1];
+      const isMarkup = markup || !text.trim();
+      if (last && last.markup && isMarkup) {
+        last.text += text;
+      } else {
+        parts.push({ text, markup: isMarkup });
+      }
+    };
+
+    markdown.split('\n').forEach((line, index) => {
+      if (index > 0) add('\n', true);
+
+      if (type === 'table') {
+        if (TABLE_SEPARATOR.test(line.trim())) {
+          add(line, true);
+        } else {
+          line.split(TABLE_PIPE).forEach((piece, pieceIndex) => add(piece, pieceIndex % 2 === 1));
+        }
+        return;
+      }
+
+      const match = type === 'image' && index === 0 ? line.match(IMAGE_MARKUP) : LINE_MARKUP[type] && line.match(LINE_MARKUP[type]);
+      if (!match) {
+        add(line, false);
+        return;
+      }
+
+      // Captured groups alternate markup and text, starting with markup
+      match.slice(1).forEach((group, groupIndex) => add(group, groupIndex % 2 === 0));
+    });
+
+    return parts;
+  }
+
+  /**
+   * Keys of the text parts of a unit: the unit key, numbered when the unit has several
+   */
+  getPartKeys(unit) {
+    const count = unit.parts.filter(part => !part.markup).length;
+    return Array.from({ length: count }, (value, index) => this.getPartKey(unit.key, index, count));
+  }
+
+  getPartKey(key, index, count) {
+    return count > 1 ? `${key} [${index + 1}]` : key;
+  }
+
+  /**
+   * Unit keys of parsed blocks: the selector, with the attribute or JSON path it
+   * anchors. Repeated keys are numbered so every key is unique within a file.
+   */
+  getUnitKeys(blocks) {
+    const counts = new Map();
+
+    return blocks.map(block => {
+      let key = block.selector;
+      if (block.meta) {
+        key = `meta:${block.meta}`;
+      } else if (block.attribute) {
+        key = `${block.selector} @${block.attribute}`;
+      } else if (block.jsonPath) {
+        key = `${block.selector} ${block.jsonPath}`;
+      }
+
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      return count > 1 ? `${key} #${count}` : key;
+    });
+  }
+
+  /**
+   * Render units as an XLIFF 2.0 document. Unit ids must be NMTOKENs, so the
+   * selector key is kept in the unit name. Markup is ignorable; each text part is a segment.
+   */
+  formatXliff(sourceFile, units) {
+    const languages = `srcLang="${this.escapeXml(this.config.sourceLanguage)}"` +
+      (this.config.targetLanguage ? ` trgLang="${this.escapeXml(this.config.targetLanguage)}"` : '');
+
+    let xliff = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xliff += `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" ${languages}>\n`;
+    xliff += `  <file id="f1" original="${this.escapeXml(sourceFile)}" canResegment="no" xml:space="preserve">\n`;
+
+    units.forEach((unit, index) => {
+      xliff += `    <unit id="u${index + 1}" name="${this.escapeXml(unit.key)}">\n`;
+      xliff += '      <notes>\n';
+      xliff += `        <note category="type">${unit.type}</note>\n`;
+      if (unit.line) {
+        xliff += `        <note category="location">${this.escapeXml(sourceFile)}:${unit.line}</note>\n`;
+      }
+      xliff += '      </notes>\n';
+      let segment = 0;
+      unit.parts.forEach(part => {
+        if (part.markup) {
+          xliff += `      <ignorable><source>${this.escapeXml(part.text)}</source></ignorable>\n`;
+        } else {
+          segment++;
+          xliff += `      <segment id="s${segment}"><source>${this.escapeXml(part.text)}</source></segment>\n`;
+        }
+      });
+      xliff += '    </unit>\n';
+    });
+
+    xliff += '  </file>\n';
+    xliff += '</xliff>\n';
+    return xliff;
+  }
+
+  /**
+   * Render units as a gettext PO file, one message per text part, with the part key as message context
+   */
+  formatPo(sourceFile, units) {
+    let po = `# Translations of ${sourceFile}\n`;
+    po += 'msgid ""\n';
+    po += 'msgstr ""\n';
+    po += '"Content-Type: text/plain; charset=UTF-8\\n"\n';
+    po += `"Language: ${this.escapePo(this.config.targetLanguage || '')}\\n"\n`;
+    po += `"X-Source-Language: ${this.escapePo(this.config.sourceLanguage)}\\n"\n`;
+    po += `"X-Source-File: ${this.escapePo(sourceFile)}\\n"\n`;
+
+    units.forEach(unit => {
+      const texts = unit.parts.filter(part => !part.markup);
+      const keys = this.getPartKeys(unit);
+
+      texts.forEach((part, index) => {
+        po += `\n#. ${unit.type}${texts.length > 1 ? `, part ${index + 1} of ${texts.length}` : ''}\n`;
+        if (unit.line) {
+          po += `#: ${sourceFile}:${unit.line}\n`;
+        }
+        po += `msgctxt ${this.formatPoString(keys[index])}\n`;
+        po += `msgid ${this.formatPoString(part.text)}\n`;
+        po += 'msgstr ""\n';
+      });
+    });
+
+    return po;
+  }
+
+  /**
+   * Quote a PO string, splitting multi-line text into one string per line
+   */
+  formatPoString(text) {
+    const lines = text.split('\n');
+    if (lines.length === 1) {
+      return `"${this.escapePo(text)}"`;
+    }
+    const parts = lines.map((line, index) => `"${this.escapePo(line)}${index < lines.length - 1 ? '\\n' : ''}"`);
+    return `""\n${parts.join('\n')}`;
+  }
+
+  escapePo(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\t/g, '\\t')
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n');
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Find XLIFF and PO files: the file itself, or every one in a directory
+   */
+  async findTranslationFiles(inputPath) {
+    const stats = await fs.stat(inputPath);
+    if (stats.isFile()) {
+      return [inputPath];
+    }
+
+    const files = [];
+    for (const item of await fs.readdir(inputPath)) {
+      const itemPath = path.join(inputPath, item);
+      const itemStats = await fs.stat(itemPath);
+      if (itemStats.isDirectory()) {
+        files.push(...await this.findTranslationFiles(itemPath));
+      } else if (Object.values(TRANSLATION_FORMATS).includes(path.extname(item).toLowerCase())) {
+        files.push(itemPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Parse a translated file. Returns { sourceFile, language, targets } where targets
+   * maps unit keys to translated text.
+   */
+  parseTranslationFile(file, content) {
+    if (path.extname(file).toLowerCase() === TRANSLATION_FORMATS.po) {
+      return this.parsePo(content);
+    }
+    return this.parseXliff(content);
+  }
+
+  /**
+   * Read the targets of an XLIFF 2.0 file, by part key. Segments without a target are
+   * left out; markup is restored from the content file on import.
+   */
+  parseXliff(content) {
+    const $ = cheerio.load(content, { xml: true });
+    const targets = new Map();
+
+    $('unit').each((i, unit) => {
+      const $unit = $(unit);
+      const key = $unit.attr('name') || $unit.attr('id');
+      const segments = $unit.children('segment').toArray();
+
+      segments.forEach((segment, index) => {
+        const $target = $(segment).children('target');
+        if ($target.length > 0) {
+          targets.set(this.getPartKey(key, index, segments.length), $target.text());
+        }
+      });
+    });
+
+    return {
+      sourceFile: $('file').first().attr('original') || null,
+      language: $('xliff').attr('trgLang') || null,
+      targets
+    };
+  }
+
+  /**
+   * Read the translated messages of a PO file. Fuzzy, obsolete and untranslated
+   * messages are left out.
+   */
+  parsePo(content) {
+    const targets = new Map();
+    let header = {};
+
+    content.split(/\r?\n\s*\r?\n/).forEach(entry => {
+      const message = { fuzzy: false };
+      let field = null;
+
+      entry.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('#,')) {
+          message.fuzzy = message.fuzzy || /\bfuzzy\b/.test(trimmed);
+          return;
+        }
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const keyword = trimmed.match(/^(msgctxt|msgid|msgstr)\s+(".*")$/);
+        if (keyword) {
+          field = keyword[1];
+          message[field] = this.parsePoString(keyword[2]);
+        } else if (field && trimmed.startsWith('"')) {
+          message[field] += this.parsePoString(trimmed);
+        }
+      });
+
+      if (message.msgid === undefined) return;
+      if (message.msgid === '' && message.msgctxt === undefined) {
+        header = this.parsePoHeader(message.msgstr || '');
+        return;
+      }
+      if (message.fuzzy || !message.msgstr) return;
+
+      targets.set(message.msgctxt !== undefined ? message.msgctxt : message.msgid, message.msgstr);
+    });
+
+    return {
+      sourceFile: header['X-Source-File'] || null,
+      language: header.Language || null,
+      targets
+    };
+  }
+
+  parsePoString(quoted) {
+    const escapes = { n: '\n', t: '\t', r: '\r' };
+    return quoted.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] || char);
+  }
+
+  parsePoHeader(text) {
+    const header = {};
+    text.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    return header;
+  }
+
+  /**
+   * Replace the text of translated blocks in a content file, putting the translated text
+   * parts back between the block's markup. Returns { content, translated, missing }.
+   */
+  applyTranslation(file, content, translation) {
+    const units = this.createUnits(file, content);
+    const targets = this.resolveTargets(file, units, translation.targets);
+    const language = translation.language || this.config.targetLanguage;
+    const translations = [];
+    let missing = 0;
+
+    units.forEach(unit => {
+      const keys = this.getPartKeys(unit);
+      if (!keys.some(key => targets.has(key))) {
+        missing++;
+        return;
+      }
+
+      let index = 0;
+      const text = unit.parts.map(part => {
+        if (part.markup) return part.text;
+        const target = targets.get(keys[index++]);
+        return target === undefined ? part.text : this.formatPartTranslation(unit.type, target);
+      }).join('');
+      translations.push({ block: unit.block, text: text.trim() });
+    });
+
+    const extension = path.extname(file).toLowerCase();
+    const localized = extension === '.json'
+      ? this.applyJsonTranslations(content, translations, language)
+      : this.applyMarkdownTranslations(content, translations, language, extension === '.mdx');
+
+    return { content: localized, translated: translations.length, missing };
+  }
+
+  /**
+   * Replace block lines in a markdown or MDX file, and metadata in its front matter
+   */
+  applyMarkdownTranslations(content, translations, language, isMdx) {
+    const lines = content.split('\n');
+    const metadata = {};
+
+    // From the end of the file, so earlier line numbers stay valid
+    translations
+      .filter(({ block }) => block.contentStart)
+      .sort((a, b) => b.block.contentStart - a.block.contentStart)
+      .forEach(({ block, text }) => {
+        const replacement = isMdx ? this.syncBack.contentUtils.markdownToMdx(text) : text;
+        lines.splice(block.contentStart - 1, block.contentEnd - block.contentStart + 1, ...replacement.split('\n'));
+      });
+
+    translations
+      .filter(({ block }) => block.meta && !block.contentStart)
+      .forEach(({ block, text }) => {
+        metadata[block.meta] = text;
+      });
+
+    // Original hashes are of the source text; the locale HTML is synced without them
+    const localized = lines.filter(line => !ORIGINAL_HASH_COMMENT.test(line)).join('\n');
+
+    const { data, body } = this.syncBack.frontMatter.parse(localized);
+    if (!data) {
+      return localized;
+    }
+
+    const { metadata: pageMetadata, ...fields } = data;
+    const frontMatter = this.syncBack.frontMatter.format({
+      ...fields,
+      locale: language || fields.locale,
+      content_hash: this.syncBack.frontMatter.hashContent(body),
+      metadata: pageMetadata ? { ...pageMetadata, ...metadata } : undefined
+    });
+    return `${frontMatter}\n${body}`;
+  }
+
+  /**
+   * Match translated keys to the part keys of a content file's units. Tools that drop the
+   * XLIFF unit name leave the unit id (u1, u2, ...), which is the unit's position. Keys
+   * that match no block are reported.
+   */
+  resolveTargets(file, units, targets) {
+    const known = new Set(units.flatMap(unit => this.getPartKeys(unit)));
+    const resolved = new Map();
+    const unmatched = [];
+
+    targets.forEach((text, key) => {
+      if (known.has(key)) {
+        resolved.set(key, text);
+        return;
+      }
+
+      const id = key.match(/^u(\d+)((?: \[\d+\])?)$/);
+      const unit = id && units[parseInt(id[1], 10) - 1];
+      if (unit && known.has(`${unit.key}${id[2]}`)) {
+        resolved.set(`${unit.key}${id[2]}`, text);
+      } else {
+        unmatched.push(key);
+      }
+    });
+
+    if (unmatched.length > 0) {
+      console.warn(`⚠️  ${unmatched.length} translations match no block of ${file}: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? ', ...' : ''}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Translated text parts are single lines; table cells also escape their pipes
+   */
+  formatPartTranslation(type, text) {
+    const line = text.trim().replace(/\s*\n\s*/g, ' ');
+    return type === 'table' ? line.replace(/(^|[^\\])\|/g, '$1\\|') : line;
+  }
+
+  /**
+   * Replace block markdown and metadata values in a JSON content file
+   */
+  applyJsonTranslations(content, translations, language) {
+    const document = this.syncBack.parseJsonDocument(content);
+    const entries = [...document.blocks, ...(document.structuredData || [])];
+
+    translations.forEach(({ block, text }) => {
+      if (block.meta) {
+        document.metadata[block.meta] = text;
+        return;
+      }
+
+      const entry = entries.find(candidate => candidate.selector === block.selector &&
+        (candidate.attribute || null) === block.attribute &&
+        (candidate.jsonPath || null) === block.jsonPath &&
+        candidate.markdown.trim() === block.content);
+      if (entry) {
+        entry.markdown = text;
+        entry.text = this.syncBack.convertMarkdownToText(text, block.type);
+      }
+    });
+
+    entries.forEach(entry => {
+      delete entry.originalHash;
+    });
+
+    const { blocks, structuredData, ...fields } = document;
+    const localized = {
+      ...fields,
+      locale: language || fields.locale,
+      content_hash: this.syncBack.frontMatter.hashContent(JSON.stringify({ blocks, structuredData })),
+      blocks,
+      structuredData
+    };
+
+    return `${JSON.stringify(localized, null, 2)}\n`;
+  }
+}
+
+TranslationExchange.TRANSLATION_FORMATS = TRANSLATION_FORMATS;
+
+module.exports = TranslationExchange;
@@ -1,65 +1,408 @@
+const cheerio = require('cheerio');
 const ContentParser = require('./content-parser');
+const InlineFormatter = require('./inline-formatter');
+const FrontMatter = require('./front-matter');
 
 /**
  * Utility functions for markdown conversion and README generation
  */
 
+// Output formats and their file extensions
+const OUTPUT_FORMATS = {
+  markdown: '.md',
+  json: '.json',
+  mdx: '.mdx'
+};
+
 class ContentUtils extends ContentParser {
+  constructor(config = {}) {
+    super(config);
+    this.inlineFormatter = new InlineFormatter();
+    this.frontMatter = new FrontMatter();
+  }
+
+  /**
+   * Convert content to the configured output format (markdown, json or mdx)
+   */
+  convertContent(content, url, method = 'Smart', page = {}) {
+    switch (this.getOutputFormat()) {
+      case 'json':
+        return this.convertToJson(content, url, method, page);
+      case 'mdx':
+        return this.convertToMdx(content, url, method, page);
+      default:
+        return this.convertToMarkdown(content, url, method, page);
+    }
+  }
+
+  /**
+   * The configured output format, markdown by default
+   */
+  getOutputFormat() {
+    const format = this.config.outputFormat || 'markdown';
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`Unknown output format: ${format} (use ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+    }
+    return format;
+  }
+
   /**
-   * Convert content to markdown
+   * File extension of the configured output format
    */
-  convertToMarkdown(content, url, method = 'Smart') {
+  getOutputExtension() {
+    return OUTPUT_FORMATS[this.getOutputFormat()];
+  }
+
+  /**
+   * Convert content to markdown, with a YAML front matter block holding the source,
+   * extraction method, page metadata and a hash of the content below it
+   */
+  convertToMarkdown(content, url, method = 'Smart', page = {}) {
+    return this.addFrontMatter(this.formatBody(content, url, page), url, method, page);
+  }
+
+  /**
+   * Render the markdown body of a page: title, content blocks and structured data
+   */
+  formatBody(content, url, page = {}) {
     let markdown = '';
     
-    // Add metadata header
     markdown += `# ${this.extractTitleFromUrl(url)}\n\n`;
-    markdown += `<!-- Content extracted from: ${url} -->\n`;
-    markdown += `<!-- Extracted at: ${new Date().toISOString()} -->\n`;
-    markdown += `<!-- Method: ${method} -->\n\n`;
 
     // Convert each content piece
     content.forEach(item => {
-      if (item.selector) {
-        markdown += `<!-- Selector: ${item.selector} -->\n`;
+      markdown += this.formatItem(item);
+    });
+
+    // Add editable structured data (JSON-LD) text
+    if (page.structuredData && page.structuredData.length > 0) {
+      markdown += '<!-- Structured data: edit the text below each JSON Path comment -->\n';
+      page.structuredData.forEach(item => {
+        markdown += this.formatItem(item);
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Prepend the front matter to a body. Editable page metadata (title, description,
+   * share text) lives in the front matter.
+   */
+  addFrontMatter(body, url, method, page) {
+    const frontMatter = this.frontMatter.format(this.createFileInfo(url, method, page, this.frontMatter.hashContent(body)));
+    return `${frontMatter}\n${body}`;
+  }
+
+  /**
+   * Convert content to JSON: the front matter fields, then one entry per block with
+   * its selector, type and editable markdown
+   */
+  convertToJson(content, url, method = 'Smart', page = {}) {
+    const blocks = content.map(item => this.createJsonBlock(item));
+    const structuredData = (page.structuredData || []).map(item => this.createJsonBlock(item));
+    const body = { blocks, structuredData };
+
+    const document = {
+      ...this.createFileInfo(url, method, page, this.frontMatter.hashContent(JSON.stringify(body))),
+      ...body
+    };
+
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+
+  /**
+   * Convert content to MDX: markdown with anchor comments as JSX comments and
+   * characters MDX reads as JSX or expressions escaped
+   */
+  convertToMdx(content, url, method = 'Smart', page = {}) {
+    return this.addFrontMatter(this.markdownToMdx(this.formatBody(content, url, page)), url, method, page);
+  }
+
+  /**
+   * Front matter fields of an output file
+   */
+  createFileInfo(url, method, page, contentHash) {
+    return {
+      [FrontMatter.VERSION_KEY]: FrontMatter.VERSION,
+      source: url,
+      source_file: page.sourceFile,
+      method,
+      extracted_at: new Date().toISOString(),
+      content_hash: contentHash,
+      shared_file: page.sharedFile,
+      metadata: page.metadata && page.metadata.length > 0 ? this.formatMetadata(page.metadata) : null
+    };
+  }
+
+  /**
+   * A content item as a JSON block. The markdown field is the editable text,
+   * in the same form as in markdown output.
+   */
+  createJsonBlock(item) {
+    const block = {
+      selector: item.selector,
+      type: item.type,
+      tag: item.tag
+    };
+
+    if (item.contentId) block.contentId = item.contentId;
+    if (item.attribute) block.attribute = item.attribute;
+    if (item.jsonPath) block.jsonPath = item.jsonPath;
+
+    block.markdown = this.getBlockText(this.formatItem({ ...item, selector: null, contentId: null }));
+    block.text = item.text;
+    block.originalHash = this.frontMatter.hashBlock(block.markdown);
+
+    return block;
+  }
+
+  /**
+   * Turn markdown into MDX. Outside code, HTML comments become JSX comments and
+   * "{", "}" and "<" are escaped, except in the <details> markup of accordions.
+   */
+  markdownToMdx(markdown) {
+    let inCodeBlock = false;
+
+    return markdown.split('\n').map(line => {
+      if (line.trim().startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+        return line;
+      }
+      if (inCodeBlock) {
+        return line;
       }
 
-      switch (item.type) {
-        case 'heading':
-          const level = parseInt(item.tag.charAt(1));
-          const headingMark = '#'.repeat(level);
-          markdown += `${headingMark} ${item.text}\n\n`;
-          break;
-
-        case 'paragraph':
-          markdown += `${item.text}\n\n`;
-          break;
-
-        case 'list':
-          item.items.forEach(itemText => {
-            markdown += `- ${itemText}\n`;
-          });
-          markdown += '\n';
-          break;
-
-        case 'blockquote':
-          markdown += `> ${item.text}\n\n`;
-          break;
-
-        case 'code':
-          markdown += '```\n';
-          markdown += item.text;
-          markdown += '\n```\n\n';
-          break;
-
-        case 'div':
-          markdown += `${item.text}\n\n`;
-          break;
+      const comment = line.match(/^<!-- (.*) -->$/);
+      if (comment) {
+        return `{/* ${comment[1].replace(/\*\//g, '*\\/')} */}`;
       }
+
+      // Leave inline code spans as they are
+      return line.split(/((?<!\\)`[^`]*`)/).map(part => {
+        if (part.startsWith('`')) {
+          return part;
+        }
+        return part.replace(/[{}]|<(?!\/?(?:details|summary)\b)/g, char => `\\${char}`);
+      }).join('');
+    }).join('\n');
+  }
+
+  /**
+   * Convert a single content item to markdown, with its anchor comments
+   */
+  formatItem(item) {
+    let anchors = '';
+    let markdown = '';
+
+    if (item.selector) {
+      anchors += `<!-- Selector: ${item.selector} -->\n`;
+    }
+    if (item.contentId) {
+      anchors += `<!-- Content ID: ${item.contentId} -->\n`;
+    }
+
+    switch (item.type) {
+      case 'heading':
+        const level = parseInt(item.tag.charAt(1));
+        const headingMark = '#'.repeat(level);
+        markdown += `${headingMark} ${this.formatInline(item.html, item.text)}\n\n`;
+        break;
+
+      case 'paragraph':
+        markdown += `${this.formatInline(item.html, item.text)}\n\n`;
+        break;
+
+      case 'list':
+        markdown += this.formatList(item);
+        markdown += '\n';
+        break;
+
+      case 'blockquote':
+        markdown += `> ${this.formatInline(item.html, item.text).replace(/\n/g, '\n> ')}\n\n`;
+        break;
+
+      case 'code':
+        markdown += '```\n';
+        markdown += item.text;
+        markdown += '\n```\n\n';
+        break;
+
+      case 'image':
+        markdown += `${this.formatImage(item)}\n`;
+        if (item.caption) {
+          markdown += `${this.formatInline(item.captionHtml, item.caption)}\n`;
+        }
+        markdown += '\n';
+        break;
+
+      case 'table':
+        markdown += this.formatTable(item.rows);
+        markdown += '\n';
+        break;
+
+      case 'definitions':
+        markdown += this.formatDefinitions(item.groups);
+        markdown += '\n';
+        break;
+
+      case 'details':
+        markdown += this.formatDetails(item);
+        markdown += '\n';
+        break;
+
+      case 'address':
+      case 'caption':
+        markdown += `${this.formatInline(item.html, item.text)}\n\n`;
+        break;
+
+      case 'attribute':
+        markdown += `<!-- Attribute: ${item.attribute} -->\n`;
+        markdown += `${item.text.replace(/\s+/g, ' ')}\n\n`;
+        break;
+
+      case 'data':
+        markdown += `<!-- JSON Path: ${item.jsonPath} -->\n`;
+        markdown += `${this.formatInline(item.html, item.text)}\n\n`;
+        break;
+
+      case 'div':
+        markdown += `${this.formatInline(item.html, item.text)}\n\n`;
+        break;
+    }
+
+    // Hash of the text as extracted, for conflict detection on sync-back
+    if (item.selector) {
+      anchors += `<!-- Original hash: ${this.frontMatter.hashBlock(this.getBlockText(markdown))} -->\n`;
+    }
+
+    return anchors + markdown;
+  }
+
+  /**
+   * Editable text of a formatted item, without its anchor comments
+   */
+  getBlockText(markdown) {
+    return markdown.replace(/^(<!-- .* -->\n)+/, '').trim();
+  }
+
+  /**
+   * Map page metadata to front matter fields
+   */
+  formatMetadata(metadata) {
+    const fields = {};
+
+    metadata.forEach(entry => {
+      fields[entry.key] = entry.value;
+    });
+
+    return fields;
+  }
+
+  /**
+   * Convert inline HTML to markdown, falling back to plain text
+   */
+  formatInline(html, text) {
+    if (!html) {
+      return text;
+    }
+
+    const $ = cheerio.load(html, null, false);
+    return this.inlineFormatter.htmlToMarkdown($.root(), $) || text;
+  }
+
+  /**
+   * Render a definition list: each term on its own line, each definition on a line starting with ": "
+   */
+  formatDefinitions(groups) {
+    return groups.map(group => {
+      const terms = group.terms.map(term => `${this.formatInline(term.html, term.text).replace(/\n/g, ' ')}\n`).join('');
+      const definitions = group.definitions
+        .map(definition => `: ${this.formatInline(definition.html, definition.text).replace(/\n/g, '\n  ')}\n`)
+        .join('');
+      return terms + definitions;
+    }).join('\n');
+  }
+
+  /**
+   * Render a details element as GitHub-style <details> markup around markdown paragraphs.
+   * Without a body, only the summary is editable here.
+   */
+  formatDetails(details) {
+    let markdown = '<details>\n';
+    markdown += `<summary>${this.formatInline(details.summaryHtml, details.summary).replace(/\n/g, ' ')}</summary>\n\n`;
+
+    if (details.body && details.body.length > 0) {
+      markdown += details.body.map(paragraph => this.formatInline(paragraph.html, paragraph.text)).join('\n\n');
+      markdown += '\n\n';
+    }
+
+    markdown += '</details>\n';
+    return markdown;
+  }
+
+  /**
+   * Render a list as markdown, indenting nested lists under their parent item
+   */
+  formatList(list, indent = '') {
+    let markdown = '';
+
+    list.items.forEach((item, index) => {
+      const marker = list.ordered ? `${list.start + index}.` : '-';
+      const childIndent = indent + ' '.repeat(marker.length + 1);
+      const text = this.formatInline(item.html, item.text).replace(/\n/g, `\n${childIndent}`);
+
+      markdown += `${indent}${marker} ${text}`.trimEnd() + '\n';
+      item.children.forEach(child => {
+        markdown += this.formatList(child, childIndent);
+      });
     });
 
     return markdown;
   }
 
+  /**
+   * Render an image as markdown: ![alt](src "title")
+   */
+  formatImage(image) {
+    const alt = image.alt.replace(/([\\\]])/g, '\\$1');
+    const src = image.src.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
+    const title = image.title ? ` "${image.title.replace(/"/g, '\\"')}"` : '';
+    return `![${alt}](${src}${title})`;
+  }
+
+  /**
+   * Render table rows as a GitHub-flavored markdown table
+   */
+  formatTable(rows) {
+    const columnCount = Math.max(...rows.map(row => row.cells.length));
+    const formatRow = row => {
+      const cells = [];
+      for (let i = 0; i < columnCount; i++) {
+        const cell = row.cells[i];
+        cells.push(cell ? this.formatTableCell(cell) : '');
+      }
+      return `| ${cells.join(' | ')} |\n`;
+    };
+
+    let table = formatRow(rows[0]);
+    table += `| ${new Array(columnCount).fill('---').join(' | ')} |\n`;
+    rows.slice(1).forEach(row => {
+      table += formatRow(row);
+    });
+
+    return table;
+  }
+
+  /**
+   * Convert a table cell to single-line inline markdown
+   */
+  formatTableCell(cell) {
+    return this.formatInline(cell.html, cell.text)
+      .replace(/\s*\n\s*/g, ' ')
+      .replace(/\|/g, '\\|');
+  }
+
   /**
    * Extract title from URL
    */
@@ -77,9 +420,17 @@ class ContentUtils extends ContentParser {
    * Create README content
    */
   createReadme(title, method, siteUrl = 'Unknown') {
-    const methodDescription = method === 'HTTP' 
-      ? 'HTTP Request (fast, lightweight)' 
-      : 'Browser Automation (handles JavaScript)';
+    const methodDescriptions = {
+      HTTP: 'HTTP Request (fast, lightweight)',
+      Hydration: 'Hydration Data (Next.js/Nuxt payload over HTTP)'
+    };
+    const methodDescription = methodDescriptions[method] || 'Browser Automation (handles JavaScript)';
+    const formatNames = { markdown: 'Markdown', json: 'JSON', mdx: 'MDX' };
+    const contentFile = `extracted-content${this.getOutputExtension()}`;
+    const methodNotes = {
+      HTTP: '- ✅ Fast and lightweight\n- ✅ No browser dependencies\n- ✅ Perfect for static websites\n- ❌ Cannot handle JavaScript-rendered content',
+      Hydration: '- ✅ Fast and lightweight\n- ✅ No browser dependencies\n- ✅ Reads page data of Next.js and Nuxt sites\n- ⚠️  Blocks are anchored by JSON path inside the page data'
+    };
 
     return `# Smart Content Extractor - Extracted Content
 
@@ -94,23 +445,20 @@ This content was automatically extracted from the website using the Smart Conten
 
 ## Files
 
-- \`extracted-content.md\` - The main extracted content in Markdown format
+- \`${contentFile}\` - The main extracted content in ${formatNames[this.getOutputFormat()]} format
 - \`README.md\` - This file with extraction information
 
 ## Editing Instructions
 
-1. Edit the content in \`extracted-content.md\`
+1. Edit the content in \`${contentFile}\`
 2. Maintain the structure and formatting
-3. The metadata comments at the top should not be removed
+3. The front matter at the top should not be removed
 4. Save your changes
 
 ## Extraction Method Used
 
 **${method} Extraction:**
-${method === 'HTTP' 
-  ? '- ✅ Fast and lightweight\n- ✅ No browser dependencies\n- ✅ Perfect for static websites\n- ❌ Cannot handle JavaScript-rendered content'
-  : '- ✅ Handles JavaScript-heavy websites\n- ✅ Extracts dynamically loaded content\n- ✅ Works with React, Vue, Angular\n- ⚠️  Requires browser automation (slower)'
-}
+${methodNotes[method] || '- ✅ Handles JavaScript-heavy websites\n- ✅ Extracts dynamically loaded content\n- ✅ Works with React, Vue, Angular\n- ⚠️  Requires browser automation (slower)'}
 
 ---
 Generated by Smart Content Extractor
@@ -118,4 +466,6 @@ Generated by Smart Content Extractor
   }
 }
 
+ContentUtils.OUTPUT_FORMATS = OUTPUT_FORMATS;
+
 module.exports = ContentUtils;